@@ -1,552 +1,1649 @@
 /* ============================================
-   3D Model Viewer — Main Application Logic
-   Three.js + GLTFLoader + EXRLoader
-   OrbitControls + TransformControls
+   3D Model Viewer — Main Application (side panel)
+   Page bootstrap: creates a viewer (viewer.js) in #viewer-container
+   and drives it from the side panel through its public API
    ============================================ */
 
-import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { TransformControls } from 'three/addons/controls/TransformControls.js';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
-import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import {
+  createViewer,
+  ENV_PRESETS,
+  ENVIRONMENT_EXTENSIONS,
+  LIGHT_TYPES,
+  LIGHT_INTENSITY_MAX,
+  SHADOW_MAP_SIZES,
+  SHADOW_SOFTNESS_MAX,
+  VIEW_MODES,
+  TRANSFORM_SPACES,
+  MATERIAL_PROPERTIES,
+  VIEW_STATE_VERSION,
+  formatLength,
+  isVectorArray
+} from './viewer.js';
+import {
+  MODEL_FORMATS,
+  getFileExtension,
+  hasModelFile,
+  collectDroppedFiles,
+  fileListToEntries
+} from './loaders.js';
+import { formatBytes } from './inspection.js';
+import {
+  listLibraryEnvironments,
+  saveLibraryEnvironment,
+  loadLibraryEnvironment,
+  removeLibraryEnvironment
+} from './environment-library.js';
 
 // ─────────────────────────────────────────────
 // Global State
 // ─────────────────────────────────────────────
-let scene, camera, renderer;
-let orbitControls, transformControls;
-let gridHelper, axesHelper;
-let currentModel = null;
-let currentHDRI = null;
-let clock = new THREE.Clock();
-let autoRotate = true;
-let autoRotateSpeed = 0.5;
-let modelInitialTransform = null;
-let hologramActive = false;
-let originalMaterials = new Map();
+const DEFAULT_MODEL = { url: 'assets/Astronaut.glb', name: 'Astronaut.glb' };
+const DEFAULT_ENVIRONMENT = 'evening';
+const LIBRARY_OPTION_PREFIX = 'library:'; // #env-select values of cached files
+const LOAD_KIND_LABELS = { model: 'modelo', environment: 'entorno', backdrop: 'fondo' };
+
+let viewer = null;
+let animationScrubbing = false;
+const outlinerRows = new Map();
+let outlinerModels = []; // models the outliner tree was built for
+const lightRows = new Map(); // light id → its controls in the lights panel
+const annotationRows = new Map(); // annotation id → its controls in the annotations panel
+const boneRows = new Map(); // bone → its row in the skeleton panel
+let morphSliders = [];       // [mesh][target] → { input, value } in the skeleton panel
+let skeletonPanelModel = null; // model the bone and morph lists were built for
+let materialControls = [];    // [material][property] → { input, value } in the materials panel
+let materialPanelKey = null;  // selected mesh and variant the materials panel was built for
+let variantNames = [];        // options of #variant-select
 
 // ─────────────────────────────────────────────
 // Initialization
 // ─────────────────────────────────────────────
 function init() {
-  // --- Scene ---
-  scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x000000);
-
-  // --- Camera ---
-  camera = new THREE.PerspectiveCamera(
-    45,
-    window.innerWidth / window.innerHeight,
-    0.01,
-    1000
-  );
-  camera.position.set(3, 2, 5);
-
-  // --- Renderer (4K support, antialias, shadows) ---
-  const canvas = document.getElementById('viewer-canvas');
-  renderer = new THREE.WebGLRenderer({
-    canvas: canvas,
-    antialias: true,
-    alpha: false,
-    powerPreference: 'high-performance'
-  });
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-  renderer.shadowMap.enabled = true;
-  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-  renderer.toneMapping = THREE.ACESFilmicToneMapping;
-  renderer.toneMappingExposure = 1.0;
-  renderer.outputColorSpace = THREE.SRGBColorSpace;
-
-  // --- Default Lighting ---
-  setupDefaultLights();
-
-  // --- Grid & Axes Helpers ---
-  gridHelper = new THREE.GridHelper(20, 40, 0x444444, 0x222222);
-  gridHelper.visible = true;
-  scene.add(gridHelper);
-
-  axesHelper = new THREE.AxesHelper(3);
-  axesHelper.visible = true;
-  scene.add(axesHelper);
-
-  // --- Ground plane for shadow receiving ---
-  const groundGeo = new THREE.PlaneGeometry(50, 50);
-  const groundMat = new THREE.ShadowMaterial({ opacity: 0.3 });
-  const ground = new THREE.Mesh(groundGeo, groundMat);
-  ground.rotation.x = -Math.PI / 2;
-  ground.position.y = -0.001;
-  ground.receiveShadow = true;
-  ground.name = '__ground__';
-  scene.add(ground);
-
-  // --- Orbit Controls ---
-  orbitControls = new OrbitControls(camera, renderer.domElement);
-  orbitControls.enableDamping = true;
-  orbitControls.dampingFactor = 0.08;
-  orbitControls.minDistance = 0.1;
-  orbitControls.maxDistance = 100;
-  orbitControls.target.set(0, 0, 0);
-
-  // --- Transform Controls ---
-  transformControls = new TransformControls(camera, renderer.domElement);
-  transformControls.setMode('translate');
-  transformControls.addEventListener('dragging-changed', (event) => {
-    orbitControls.enabled = !event.value;
-  });
-  scene.add(transformControls);
+  viewer = createViewer(document.getElementById('viewer-container'), {
+    exposure: parseFloat(document.getElementById('slider-exposure').value),
+    grid: document.getElementById('toggle-grid').checked,
+    axes: document.getElementById('toggle-axes').checked,
+    autoRotate: document.getElementById('toggle-auto-rotate').checked
+  });
+  viewer.setAnimationLoop(document.getElementById('toggle-anim-loop').checked);
+  viewer.setAnimationSpeed(parseFloat(document.getElementById('slider-anim-speed').value));
 
   // --- Events ---
-  window.addEventListener('resize', onWindowResize);
+  setupViewerEvents();
   setupDragAndDrop();
   setupUIListeners();
 
-  // --- Load default EXR environment ---
-  loadDefaultEXR();
-
-  // --- Load default model ---
-  loadDefaultModel();
-
-  // --- Start render loop ---
-  animate();
-
-  // --- Update info bar ---
+  // --- Restore a shared view from the URL, or load the defaults ---
+  restoreViewState(readViewStateFromURL() || { version: VIEW_STATE_VERSION });
+
+  buildOutliner();
+  buildAnimationPanel();
+  renderSkeletonPanel(viewer.getSkeletonState());
+  renderMaterialPanel(viewer.getMaterialState());
+  renderMeasurements(viewer.getMeasureState());
+  renderAnnotations(viewer.getAnnotationState());
+  renderSection(viewer.getSectionState());
+  renderCameraPanel(viewer.getCameraState());
+  buildBackdropOptions();
+  renderEnvironmentLibrary();
+  renderEnvironmentControls(viewer.getEnvironmentState());
+  buildShadowOptions();
+  renderLights(viewer.getLightState());
+  renderPostProcessing(viewer.getPostProcessing());
+  buildViewModeOptions();
+  syncDisplayToggles(viewer.getDisplay());
+  buildTransformSpaceOptions();
+  renderTransform(viewer.getTransformState());
   updateInfoBar();
 }
 
 // ─────────────────────────────────────────────
-// Default Lighting Setup
+// Viewer Events → Panel
 // ─────────────────────────────────────────────
-function setupDefaultLights() {
-  // Ambient light for base illumination
-  const ambient = new THREE.AmbientLight(0xffffff, 0.4);
-  ambient.name = '__ambient__';
-  scene.add(ambient);
+function setupViewerEvents() {
+  viewer.addEventListener('loadstart', ({ detail }) => {
+    if (detail.kind === 'model') {
+      const format = MODEL_FORMATS[getFileExtension(detail.name)];
+      showLoading(true, format ? `Cargando modelo (${format.label})...` : 'Cargando modelo...');
+    } else {
+      showLoading(true, `Cargando ${LOAD_KIND_LABELS[detail.kind]}: ${detail.name}...`);
+    }
+  });
+
+  viewer.addEventListener('progress', ({ detail }) => {
+    const pct = Math.round((detail.loaded / detail.total) * 100);
+    showLoading(true, `Cargando ${LOAD_KIND_LABELS[detail.kind]}... ${pct}%`);
+  });
+
+  viewer.addEventListener('load', ({ detail }) => {
+    showLoading(false);
+    if (detail.kind === 'model') {
+      reportLoadWarnings(detail.name, detail.warnings, detail.missing);
+    } else if (detail.kind === 'environment') {
+      if (detail.key) {
+        document.getElementById('env-select').value = detail.key;
+        markEnvironmentOption(detail.key, false);
+      }
+      setEnvironmentError(null);
+    }
+    updateInfoBar();
+  });
 
-  // Main directional light with shadows
-  const dirLight = new THREE.DirectionalLight(0xffffff, 1.5);
-  dirLight.name = '__dirLight__';
-  dirLight.position.set(5, 8, 5);
-  dirLight.castShadow = true;
-  dirLight.shadow.mapSize.width = 2048;
-  dirLight.shadow.mapSize.height = 2048;
-  dirLight.shadow.camera.near = 0.1;
-  dirLight.shadow.camera.far = 50;
-  dirLight.shadow.camera.left = -10;
-  dirLight.shadow.camera.right = 10;
-  dirLight.shadow.camera.top = 10;
-  dirLight.shadow.camera.bottom = -10;
-  dirLight.shadow.bias = -0.0001;
-  scene.add(dirLight);
+  viewer.addEventListener('error', ({ detail }) => {
+    showLoading(false);
+    if (detail.kind === 'model') {
+      let message = 'Error al cargar el modelo. Revisa la consola para más detalles.';
+      if (detail.missing && detail.missing.length > 0) {
+        message += '\n\nRecursos no encontrados:\n' + formatResourceList(detail.missing);
+      }
+      alert(message);
+    } else if (detail.fallback) {
+      // A preset could not be downloaded, the viewer switched to the generated room
+      document.getElementById('env-select').value = detail.key;
+      markEnvironmentOption(detail.key, true);
+      setEnvironmentError(`No se pudo descargar "${detail.name}". Se usa el estudio generado.`);
+      showToast(`Sin conexión: "${detail.name}" no está disponible, se usa el estudio generado`, 4000);
+      updateInfoBar();
+    } else if (detail.kind === 'variant') {
+      alert(`Error al cargar los materiales de la variante "${detail.name}". Revisa la consola para más detalles.`);
+    } else if (detail.kind === 'backdrop') {
+      alert('Error al cargar el HDRI de fondo. Revisa la consola para más detalles.');
+    } else {
+      alert('Error al cargar el archivo HDRI. Revisa la consola para más detalles.');
+    }
+  });
 
-  // Fill light
-  const fillLight = new THREE.DirectionalLight(0x8888ff, 0.4);
-  fillLight.name = '__fillLight__';
-  fillLight.position.set(-3, 4, -3);
-  scene.add(fillLight);
+  // Fired for loads, removals and their undo / redo, and when another
+  // model becomes the active one
+  viewer.addEventListener('modelchange', () => {
+    buildOutliner();
+    highlightOutlinerRow(viewer.selection);
+    buildAnimationPanel();
+    updateDimensions();
+    renderInspection();
+    updateInfoBar();
+  });
 
-  // Hemisphere light for natural feel
-  const hemiLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.3);
-  hemiLight.name = '__hemiLight__';
-  scene.add(hemiLight);
+  viewer.addEventListener('selectionchange', ({ detail }) => highlightOutlinerRow(detail.object));
+  viewer.addEventListener('animationchange', ({ detail }) => updateAnimationUI(detail));
+  viewer.addEventListener('displaychange', ({ detail }) => {
+    syncDisplayToggles(detail);
+    refreshOutlinerMaterials();
+  });
+  viewer.addEventListener('historychange', ({ detail }) => {
+    renderHistory(detail);
+    updateDimensions(); // gizmo scaling changes the real size
+  });
+  viewer.addEventListener('measurechange', ({ detail }) => renderMeasurements(detail));
+  viewer.addEventListener('annotationchange', ({ detail }) => renderAnnotations(detail));
+  viewer.addEventListener('transformchange', ({ detail }) => renderTransform(detail));
+  viewer.addEventListener('skeletonchange', ({ detail }) => renderSkeletonPanel(detail));
+  viewer.addEventListener('materialchange', ({ detail }) => {
+    renderMaterialPanel(detail);
+    refreshOutlinerMaterials(); // variants swap them
+  });
+  viewer.addEventListener('sectionchange', ({ detail }) => renderSection(detail));
+  viewer.addEventListener('camerachange', ({ detail }) => renderCameraPanel(detail));
+  viewer.addEventListener('environmentchange', ({ detail }) => renderEnvironmentControls(detail));
+  viewer.addEventListener('lightchange', ({ detail }) => renderLights(detail));
+  viewer.addEventListener('postprocessingchange', ({ detail }) => {
+    renderPostProcessing(detail);
+    updateInfoBar();
+  });
+  viewer.addEventListener('frame', () => updateAnimationTimeline(viewer.getAnimationState()));
 }
 
-// ─────────────────────────────────────────────
-// Window Resize
-// ─────────────────────────────────────────────
-function onWindowResize() {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+function formatResourceList(paths) {
+  return [...paths].map((path) => `• ${path}`).join('\n');
+}
+
+function reportLoadWarnings(modelName, warnings, missing) {
+  if (warnings.length === 0 && missing.length === 0) return;
+
+  let message = `Modelo "${modelName}" cargado con avisos:`;
+  if (warnings.length > 0) {
+    console.warn(`Warnings while loading ${modelName}:`, warnings);
+    message += '\n\n' + warnings.map((warning) => `• ${warning}`).join('\n');
+  }
+  if (missing.length > 0) {
+    console.warn(`Missing resources referenced by ${modelName}:`, missing);
+    message += `\n\nFaltan ${missing.length} recurso(s) referenciados:\n` + formatResourceList(missing) +
+      '\n\nIncluye estos archivos (o la carpeta completa) al arrastrar o seleccionar el modelo.';
+  }
+  alert(message);
 }
 
 // ─────────────────────────────────────────────
-// Render Loop
+// Scene Outliner
 // ─────────────────────────────────────────────
-function animate() {
-  requestAnimationFrame(animate);
-  const delta = clock.getDelta();
+const OUTLINER_EXPAND_DEPTH = 2; // deeper levels start collapsed
+
+// One top-level node per model in the scene
+function buildOutliner() {
+  const models = viewer.models;
 
-  // Auto-rotate model slowly around Y axis
-  if (currentModel && autoRotate) {
-    currentModel.rotation.y += autoRotateSpeed * delta;
+  // Switching the active model keeps the tree (and what is expanded)
+  if (models.length === outlinerModels.length && models.every((model, i) => model === outlinerModels[i])) {
+    refreshOutliner();
+    return;
   }
+  outlinerModels = models;
+
+  const container = document.getElementById('outliner');
+  container.innerHTML = '';
+  outlinerRows.clear();
 
-  orbitControls.update();
-  renderer.render(scene, camera);
+  if (models.length === 0) {
+    container.innerHTML = '<p class="panel-note">No hay ningún modelo cargado</p>';
+    return;
+  }
+
+  models.forEach((model) => container.appendChild(createOutlinerNode(model, 0)));
+  refreshOutliner();
 }
 
-// ─────────────────────────────────────────────
-// Shared Model Setup (used by GLB, FBX, and default loaders)
-// ─────────────────────────────────────────────
-function setupLoadedModel(model, name) {
-  // Remove previous model
-  if (currentModel) {
-    transformControls.detach();
-    scene.remove(currentModel);
-    disposeObject(currentModel);
+function getOutlinerIcon(object) {
+  if (object.isBone) return '🦴';
+  if (object.isSkinnedMesh) return '🧍';
+  if (object.isMesh || object.isPoints || object.isLine) return '▲';
+  if (object.isLight) return '💡';
+  if (object.isCamera) return '📷';
+  return '▣';
+}
+
+function createOutlinerNode(object, depth) {
+  const node = document.createElement('div');
+  node.className = 'outliner-node';
+
+  const row = document.createElement('div');
+  row.className = 'outliner-row';
+  row.style.paddingLeft = `${depth * 12}px`;
+  row.title = `${object.type}: ${object.name || '(sin nombre)'}`;
+
+  const materials = object.material ? viewer.getMeshMaterials(object) : [];
+  const hasChildren = object.children.length > 0 || materials.length > 0;
+
+  const caret = document.createElement('span');
+  caret.className = 'outliner-caret';
+  caret.textContent = hasChildren ? '▾' : '';
+  row.appendChild(caret);
+
+  const label = document.createElement('span');
+  label.className = 'outliner-label';
+  label.textContent = `${getOutlinerIcon(object)} ${object.name || object.type}`;
+  row.appendChild(label);
+
+  const visibilityBtn = document.createElement('button');
+  visibilityBtn.className = 'outliner-action';
+  visibilityBtn.title = 'Mostrar / ocultar';
+  visibilityBtn.textContent = '👁';
+  visibilityBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleObjectVisibility(object);
+  });
+  row.appendChild(visibilityBtn);
+
+  const isolateBtn = document.createElement('button');
+  isolateBtn.className = 'outliner-action';
+  isolateBtn.title = 'Aislar';
+  isolateBtn.textContent = '◎';
+  isolateBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleIsolate(object);
+  });
+  row.appendChild(isolateBtn);
+
+  if (depth === 0) {
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'outliner-action active';
+    removeBtn.title = 'Quitar de la escena';
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      viewer.removeModel(object);
+    });
+    row.appendChild(removeBtn);
   }
 
-  model.name = name || 'LoadedModel';
+  row.addEventListener('click', () => viewer.select(object));
+  node.appendChild(row);
+  const materialList = materials.length > 0 ? document.createElement('div') : null;
+  outlinerRows.set(object, { node, row, visibilityBtn, isolateBtn, materialList, materials, depth });
 
-  // Enable shadows on all meshes
-  model.traverse((child) => {
-    if (child.isMesh) {
-      child.castShadow = true;
-      child.receiveShadow = true;
-      if (child.material) {
-        child.material.envMapIntensity = 1.0;
-      }
+  if (hasChildren) {
+    const children = document.createElement('div');
+    children.className = 'outliner-children';
+
+    if (materialList) {
+      renderOutlinerMaterials(object);
+      children.appendChild(materialList);
     }
-  });
 
-  // Center and scale model to fit view
-  const box = new THREE.Box3().setFromObject(model);
-  const size = box.getSize(new THREE.Vector3());
-  const center = box.getCenter(new THREE.Vector3());
+    object.children.forEach((child) => {
+      children.appendChild(createOutlinerNode(child, depth + 1));
+    });
+    node.appendChild(children);
 
-  // Move model so it sits on the ground
-  model.position.sub(center);
-  model.position.y += size.y / 2;
+    caret.addEventListener('click', (e) => {
+      e.stopPropagation();
+      node.classList.toggle('collapsed');
+      caret.textContent = node.classList.contains('collapsed') ? '▸' : '▾';
+    });
 
-  // Scale to reasonable size if too large or too small
-  const maxDim = Math.max(size.x, size.y, size.z);
-  if (maxDim > 10 || maxDim < 0.1) {
-    const scale = 3 / maxDim;
-    model.scale.setScalar(scale);
+    if (depth >= OUTLINER_EXPAND_DEPTH) {
+      node.classList.add('collapsed');
+      caret.textContent = '▸';
+    }
   }
 
-  scene.add(model);
-  currentModel = model;
+  return node;
+}
 
-  // Save initial transform for reset
-  modelInitialTransform = {
-    position: model.position.clone(),
-    rotation: model.rotation.clone(),
-    scale: model.scale.clone()
-  };
+// Material rows show the mesh's own materials, not view mode copies
+function renderOutlinerMaterials(object) {
+  const { materialList, materials, depth } = outlinerRows.get(object);
+  materialList.innerHTML = '';
+  materials.forEach((material) => {
+    const materialRow = document.createElement('div');
+    materialRow.className = 'outliner-row outliner-material';
+    materialRow.style.paddingLeft = `${(depth + 1) * 12 + 14}px`;
+    materialRow.textContent = `● ${material.name || material.type}`;
+    materialRow.title = material.type;
+    materialRow.addEventListener('click', () => viewer.select(object));
+    materialList.appendChild(materialRow);
+  });
+}
 
-  // Reset hologram state
-  hologramActive = false;
-  originalMaterials.clear();
-  const holoToggle = document.getElementById('toggle-hologram');
-  if (holoToggle) holoToggle.checked = false;
+// Rewrites the material rows of meshes whose materials were swapped
+function refreshOutlinerMaterials() {
+  outlinerRows.forEach((entry, object) => {
+    if (!entry.materialList) return;
+    const materials = viewer.getMeshMaterials(object);
+    if (materials.length === entry.materials.length && materials.every((material, i) => material === entry.materials[i])) return;
+    entry.materials = materials;
+    renderOutlinerMaterials(object);
+  });
+}
 
-  // Attach transform controls
-  transformControls.attach(model);
+// Syncs visibility / isolate indicators with the scene graph
+function refreshOutliner() {
+  outlinerRows.forEach(({ row, visibilityBtn, isolateBtn }, object) => {
+    row.classList.toggle('active-model', object === viewer.model && viewer.models.length > 1);
+    row.classList.toggle('hidden-node', !object.visible);
+    visibilityBtn.classList.toggle('active', object.visible);
+    isolateBtn.classList.toggle('active', object === viewer.isolated);
+  });
+}
 
-  // Frame model in camera
-  frameModel(model);
+function highlightOutlinerRow(object) {
+  outlinerRows.forEach(({ row }) => row.classList.remove('selected'));
+  const entry = object ? outlinerRows.get(object) : null;
+  if (!entry) return;
+
+  // Expand collapsed ancestors so the selection is visible
+  for (let parent = object.parent; parent; parent = parent.parent) {
+    const parentEntry = outlinerRows.get(parent);
+    if (!parentEntry) break;
+    parentEntry.node.classList.remove('collapsed');
+    parentEntry.row.querySelector('.outliner-caret').textContent = '▾';
+  }
 
-  // Update info
-  updateInfoBar();
+  entry.row.classList.add('selected');
+  entry.row.scrollIntoView({ block: 'nearest' });
+}
+
+function toggleObjectVisibility(object) {
+  viewer.setObjectVisible(object, !object.visible);
+  refreshOutliner();
+}
+
+function toggleIsolate(object) {
+  viewer.isolate(viewer.isolated === object ? null : object);
+  refreshOutliner();
 }
 
 // ─────────────────────────────────────────────
-// GLB Model Loader
+// Edit History
 // ─────────────────────────────────────────────
-function loadGLBModel(fileOrUrl, name) {
-  showLoading(true, 'Cargando modelo...');
+function renderHistory({ entries, index, canUndo, canRedo }) {
+  document.getElementById('btn-undo').disabled = !canUndo;
+  document.getElementById('btn-redo').disabled = !canRedo;
 
-  const isFile = fileOrUrl instanceof File;
-  const url = isFile ? URL.createObjectURL(fileOrUrl) : fileOrUrl;
-  const modelName = name || (isFile ? fileOrUrl.name : 'Model');
+  const list = document.getElementById('history-list');
+  list.innerHTML = '';
 
-  const loader = new GLTFLoader();
-  const dracoLoader = new DRACOLoader();
-  dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
-  loader.setDRACOLoader(dracoLoader);
+  if (entries.length === 0) {
+    list.innerHTML = '<p class="panel-note">Sin cambios todavía</p>';
+    return;
+  }
 
-  loader.load(
-    url,
-    (gltf) => {
-      setupLoadedModel(gltf.scene, modelName);
-      showLoading(false);
-      if (isFile) URL.revokeObjectURL(url);
-    },
-    (progress) => {
-      if (progress.total > 0) {
-        const pct = Math.round((progress.loaded / progress.total) * 100);
-        showLoading(true, `Cargando modelo... ${pct}%`);
-      }
-    },
-    (error) => {
-      console.error('Error loading GLB:', error);
-      showLoading(false);
-      alert('Error al cargar el modelo. Revisa la consola para más detalles.');
-      if (isFile) URL.revokeObjectURL(url);
-    }
-  );
+  // Row k is the state after the first k entries; row 0 is the oldest kept state
+  ['Estado inicial', ...entries].forEach((label, k) => {
+    const row = document.createElement('div');
+    row.className = 'history-entry';
+    row.classList.toggle('current', k === index);
+    row.classList.toggle('undone', k > index);
+    row.textContent = label;
+    row.title = label;
+    row.addEventListener('click', () => viewer.goToHistory(k));
+    list.appendChild(row);
+  });
+
+  list.querySelector('.current').scrollIntoView({ block: 'nearest' });
 }
 
 // ─────────────────────────────────────────────
-// Default Model Loader (Astronaut.glb from assets)
+// Camera Panel (projection, field of view, bookmarks)
 // ─────────────────────────────────────────────
-function loadDefaultModel() {
-  loadGLBModel('assets/Astronaut.glb', 'Astronaut.glb');
+// Numpad key → [view, view with Ctrl], as in most DCC tools
+const NUMPAD_VIEWS = {
+  Numpad1: ['front', 'back'],
+  Numpad3: ['right', 'left'],
+  Numpad7: ['top', 'bottom']
+};
+
+function renderCameraPanel({ projection, fov, bookmarks }) {
+  const orthographic = projection === 'orthographic';
+  document.getElementById('toggle-orthographic').checked = orthographic;
+
+  // The field of view only shows in perspective
+  const fovSlider = document.getElementById('slider-fov');
+  fovSlider.value = Math.round(fov);
+  fovSlider.disabled = orthographic;
+  document.getElementById('fov-value').textContent = `${Math.round(fov)}°`;
+
+  const list = document.getElementById('bookmark-list');
+  list.innerHTML = '';
+  list.hidden = bookmarks.length === 0;
+
+  bookmarks.forEach((bookmark, index) => {
+    const row = document.createElement('div');
+    row.className = 'measure-entry history-entry';
+    row.title = 'Ir a esta vista';
+    row.textContent = `⭐ ${bookmark.name}${bookmark.projection === 'orthographic' ? ' (ortográfica)' : ''}`;
+    row.addEventListener('click', () => viewer.goToCameraBookmark(index));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'outliner-action active';
+    removeBtn.title = 'Eliminar vista';
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      viewer.removeCameraBookmark(index);
+    });
+    row.appendChild(removeBtn);
+    list.appendChild(row);
+  });
+}
+
+function addCameraBookmark() {
+  const input = document.getElementById('bookmark-name');
+  viewer.addCameraBookmark(input.value.trim());
+  input.value = '';
 }
 
 // ─────────────────────────────────────────────
-// Apply EXR texture to scene (shared logic)
+// Measurement Panel
 // ─────────────────────────────────────────────
-function applyEnvironmentTexture(texture) {
-  texture.mapping = THREE.EquirectangularReflectionMapping;
+const MEASURE_POINT_HINTS = {
+  distance: ['Haz clic en el primer punto', 'Haz clic en el segundo punto'],
+  angle: ['Haz clic en el primer extremo', 'Haz clic en el vértice del ángulo', 'Haz clic en el segundo extremo']
+};
 
-  // Set as environment map and visible background
-  scene.environment = texture;
-  scene.background = texture;
+function renderMeasurements({ mode, unit, pendingPoints, measurements }) {
+  document.querySelectorAll('.btn-measure').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.measure === mode);
+  });
+  document.getElementById('measure-units').value = unit;
+
+  const hint = document.getElementById('measure-hint');
+  hint.hidden = !mode;
+  if (mode) hint.textContent = `${MEASURE_POINT_HINTS[mode][pendingPoints]} (se ajusta a los vértices cercanos). Esc para salir.`;
+
+  const list = document.getElementById('measure-list');
+  list.innerHTML = '';
+  list.hidden = measurements.length === 0;
+  document.getElementById('btn-clear-measurements').hidden = measurements.length === 0;
+
+  measurements.forEach((measurement, index) => {
+    const row = document.createElement('div');
+    row.className = 'measure-entry';
+    row.textContent = `${measurement.type === 'distance' ? '📏' : '📐'} ${measurement.label}`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'outliner-action active';
+    removeBtn.title = 'Eliminar medida';
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', () => viewer.removeMeasurement(index));
+    row.appendChild(removeBtn);
+    list.appendChild(row);
+  });
 
-  // Sync the HDRI background toggle
-  const hdriToggle = document.getElementById('toggle-hdri-bg');
-  if (hdriToggle) hdriToggle.checked = true;
+  updateDimensions();
+}
 
-  // Dispose previous HDRI
-  if (currentHDRI) {
-    currentHDRI.dispose();
+function updateDimensions() {
+  const readout = document.getElementById('model-dimensions');
+  const dimensions = viewer.getDimensions();
+  if (!dimensions) {
+    readout.textContent = 'No hay ningún modelo cargado';
+    return;
   }
-  currentHDRI = texture;
 
-  // Update all materials to use the environment map
-  if (currentModel) {
-    currentModel.traverse((child) => {
-      if (child.isMesh && child.material) {
-        child.material.envMap = texture;
-        child.material.envMapIntensity = 1.0;
-        child.material.needsUpdate = true;
-      }
-    });
+  const unit = viewer.getMeasureState().unit;
+  const { x, y, z, fitScale } = dimensions;
+  readout.textContent = `Dimensiones (An × Al × Pr): ${[x, y, z].map((value) => formatLength(value, unit)).join(' × ')}`;
+  if (fitScale !== 1) {
+    readout.textContent += ` — mostrado a escala ×${fitScale.toPrecision(3)} para encajar en la vista`;
   }
-
-  updateInfoBar();
 }
 
 // ─────────────────────────────────────────────
-// HDRI Loader (from local file)
+// Annotations Panel
 // ─────────────────────────────────────────────
-function loadHDRI(file) {
-  showLoading(true, 'Cargando HDRI...');
+// Like the lights panel, rows are rebuilt only when pins come or go, so
+// typing in a title or text field keeps its focus
+function buildAnnotationList(annotations) {
+  const container = document.getElementById('annotation-list');
+  container.innerHTML = '';
+  annotationRows.clear();
+
+  if (annotations.length === 0) {
+    container.innerHTML = '<p class="panel-note">Sin anotaciones todavía</p>';
+    return;
+  }
 
-  const url = URL.createObjectURL(file);
-  const loader = new EXRLoader();
+  annotations.forEach(({ id }) => {
+    const item = document.createElement('div');
+    item.className = 'light-item annotation-item';
+
+    const header = document.createElement('div');
+    header.className = 'light-header';
+    const number = document.createElement('span');
+    number.className = 'annotation-number';
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.placeholder = 'Título';
+    title.addEventListener('input', () => viewer.updateAnnotation(id, { title: title.value }));
+    header.append(number, title);
+
+    const addAction = (icon, tooltip, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'outliner-action';
+      button.title = tooltip;
+      button.textContent = icon;
+      button.addEventListener('click', onClick);
+      header.appendChild(button);
+      return button;
+    };
+    addAction('🎯', 'Ir a su vista', () => viewer.goToAnnotation(id));
+    addAction('📷', 'Guardar la vista actual para esta anotación', () => {
+      viewer.setAnnotationView(id);
+      showToast('Vista de la anotación actualizada');
+    });
+    addAction('✕', 'Quitar anotación', () => viewer.removeAnnotation(id)).classList.add('active');
 
-  loader.load(
-    url,
-    (texture) => {
-      applyEnvironmentTexture(texture);
-      showLoading(false);
-      URL.revokeObjectURL(url);
-    },
-    (progress) => {
-      if (progress.total > 0) {
-        const pct = Math.round((progress.loaded / progress.total) * 100);
-        showLoading(true, `Cargando HDRI... ${pct}%`);
-      }
-    },
-    (error) => {
-      console.error('Error loading HDRI:', error);
-      showLoading(false);
-      alert('Error al cargar el archivo HDRI. Revisa la consola para más detalles.');
-      URL.revokeObjectURL(url);
-    }
+    const text = document.createElement('textarea');
+    text.rows = 2;
+    text.placeholder = 'Comentario';
+    text.addEventListener('input', () => viewer.updateAnnotation(id, { text: text.value }));
+
+    item.append(header, text);
+    container.appendChild(item);
+    annotationRows.set(id, { item, number, title, text });
+  });
+}
+
+function renderAnnotations({ mode, active, annotations }) {
+  document.getElementById('btn-annotate').classList.toggle('active', mode);
+  document.getElementById('annotate-hint').hidden = !mode;
+  document.getElementById('btn-export-annotations').disabled = annotations.length === 0;
+  document.getElementById('btn-clear-annotations').hidden = annotations.length === 0;
+
+  const ids = annotations.map((annotation) => annotation.id);
+  if (ids.length === 0 || ids.join(',') !== [...annotationRows.keys()].join(',')) buildAnnotationList(annotations);
+
+  annotations.forEach((annotation) => {
+    const row = annotationRows.get(annotation.id);
+    row.item.classList.toggle('active', annotation.id === active);
+    row.number.textContent = annotation.number;
+    if (row.title.value !== annotation.title) row.title.value = annotation.title;
+    if (row.text.value !== annotation.text) row.text.value = annotation.text;
+  });
+}
+
+function exportAnnotations() {
+  downloadBlob(
+    new Blob([JSON.stringify(viewer.exportAnnotations(), null, 2)], { type: 'application/json' }),
+    `${getModelBaseName('modelo')}_anotaciones.json`
   );
 }
 
+function importAnnotations(file) {
+  file.text()
+    .then((text) => {
+      const data = JSON.parse(text);
+      const placed = viewer.importAnnotations(data);
+      const skipped = data.annotations.length - placed;
+      showToast(skipped > 0
+        ? `${placed} anotaciones importadas (${skipped} sin modelo o pieza donde colocarlas)`
+        : `${placed} anotaciones importadas`);
+    })
+    .catch((error) => {
+      console.error('Error importing annotations:', error);
+      alert('El archivo de anotaciones no es válido. Revisa la consola para más detalles.');
+    });
+}
+
 // ─────────────────────────────────────────────
-// Preset Environment Map (Poly Haven free HDRIs)
+// Section Panel
 // ─────────────────────────────────────────────
-const ENV_PRESETS = {
-  studio:  { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/studio_small_09_2k.exr',  label: 'Estudio Profesional' },
-  sunset:  { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/industrial_sunset_02_puresky_2k.exr', label: 'Atardecer Industrial' },
-  sky:     { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/kloofendal_48d_partly_cloudy_puresky_2k.exr', label: 'Cielo Despejado' },
-  night:   { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/moonless_golf_2k.exr',     label: 'Noche Estrellada' },
-  city:    { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/shanghai_bund_2k.exr',     label: 'Ciudad Futurista' },
-  evening: { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/evening_road_01_2k.exr',   label: 'Camino al Atardecer' }
-};
+const SECTION_ORIENTATION_LABELS = { x: 'Eje X', y: 'Eje Y', z: 'Eje Z', free: 'Libre' };
+
+function renderSection({ caps, editing, gizmoMode, planes }) {
+  const container = document.getElementById('section-planes');
+  container.innerHTML = '';
+
+  planes.forEach((plane, index) => {
+    const row = document.createElement('div');
+    row.className = 'section-plane';
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = plane.enabled;
+    checkbox.addEventListener('change', () => {
+      viewer.setSectionPlane(index, { enabled: checkbox.checked });
+      if (checkbox.checked) viewer.editSectionPlane(index);
+    });
+    label.append(checkbox, `Plano ${index + 1}`);
+
+    const orientation = document.createElement('select');
+    orientation.className = 'env-select';
+    Object.entries(SECTION_ORIENTATION_LABELS).forEach(([value, text]) => {
+      orientation.add(new Option(text, value, false, value === plane.orientation));
+    });
+    orientation.addEventListener('change', () => viewer.setSectionPlane(index, { orientation: orientation.value }));
+
+    const actions = [
+      { icon: '⇅', title: 'Invertir lado cortado', active: plane.flipped,
+        onClick: () => viewer.setSectionPlane(index, { flipped: !plane.flipped }) },
+      { icon: '✥', title: 'Desplazar con el gizmo', active: editing === index && gizmoMode === 'translate',
+        onClick: () => viewer.editSectionPlane(editing === index && gizmoMode === 'translate' ? null : index) }
+    ];
+    if (plane.orientation === 'free') {
+      actions.push({ icon: '↻', title: 'Orientar con el gizmo', active: editing === index && gizmoMode === 'rotate',
+        onClick: () => viewer.editSectionPlane(editing === index && gizmoMode === 'rotate' ? null : index, 'rotate') });
+    }
+
+    row.append(label, orientation);
+    actions.forEach(({ icon, title, active, onClick }) => {
+      const button = document.createElement('button');
+      button.className = `outliner-action${active ? ' active' : ''}`;
+      button.title = title;
+      button.textContent = icon;
+      button.disabled = !plane.enabled;
+      button.addEventListener('click', onClick);
+      row.appendChild(button);
+    });
+    container.appendChild(row);
+  });
+
+  document.getElementById('toggle-section-caps').checked = caps;
+  document.getElementById('btn-clear-section').hidden = !planes.some((plane) => plane.enabled);
+}
 
 // ─────────────────────────────────────────────
-// Preset EXR Loader
+// Inspection Report
 // ─────────────────────────────────────────────
-function loadPresetEXR(key) {
-  const preset = ENV_PRESETS[key];
-  if (!preset) return;
+function renderInspection() {
+  const container = document.getElementById('inspection-report');
+  const report = viewer.getInspectionReport();
+  document.getElementById('btn-export-report').disabled = !report;
+  container.innerHTML = '';
+
+  if (!report) {
+    container.innerHTML = '<p class="panel-note">No hay ningún modelo cargado</p>';
+    return;
+  }
 
-  const loader = new EXRLoader();
-  showLoading(true, `Cargando entorno: ${preset.label}...`);
+  const { summary } = report;
+  const rows = [
+    ['Formato', report.format || '—'],
+    ['Mallas', summary.meshes],
+    ['Draw calls', summary.drawCalls],
+    ['Vértices', summary.vertices.toLocaleString()],
+    ['Triángulos', summary.triangles.toLocaleString()],
+    ['Materiales', summary.materials],
+    ['Texturas', summary.textures],
+    ['Geometría', formatBytes(summary.geometryBytes)],
+    ['VRAM texturas', formatBytes(summary.textureBytes)],
+    ['Memoria GPU est.', formatBytes(summary.estimatedGPUBytes)]
+  ];
+  if (summary.skinnedMeshes > 0) {
+    rows.push(['Con esqueleto', `${summary.skinnedMeshes} mallas, ${summary.bones} huesos`]);
+  }
+  if (summary.morphTargets > 0) rows.push(['Morph targets', summary.morphTargets]);
+  rows.push(['Extensiones glTF', report.extensions.join(', ') || '—']);
+
+  const list = document.createElement('dl');
+  list.className = 'inspection-summary';
+  rows.forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    list.append(term, detail);
+  });
+  container.appendChild(list);
+
+  appendInspectionDetails(container, `Avisos (${report.warnings.length})`,
+    report.warnings.map((warning) => warning.message), 'warning');
+  appendInspectionDetails(container, `Texturas (${report.textures.length})`,
+    report.textures.map((texture) => (
+      `${texture.name} — ${texture.width}×${texture.height} ${texture.format}, ${formatBytes(texture.bytes)}`
+    )));
+  appendInspectionDetails(container, `Materiales (${report.materials.length})`,
+    report.materials.map((material) => (
+      `${material.name || '(sin nombre)'} — ${material.type}` +
+      (material.textures.length > 0 ? ` [${material.textures.join(', ')}]` : '')
+    )));
+}
 
-  loader.load(
-    preset.url,
-    (texture) => {
-      applyEnvironmentTexture(texture);
-      showLoading(false);
-      console.log(`Environment loaded: ${preset.label}`);
-    },
-    (progress) => {
-      if (progress.total > 0) {
-        const pct = Math.round((progress.loaded / progress.total) * 100);
-        showLoading(true, `Cargando entorno... ${pct}%`);
-      }
-    },
-    (error) => {
-      console.warn(`Could not load preset EXR (${preset.label}):`, error);
-      showLoading(false);
-    }
+function appendInspectionDetails(container, title, items, itemClass = '') {
+  if (items.length === 0) return;
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = title;
+  const list = document.createElement('ul');
+  items.forEach((text) => {
+    const item = document.createElement('li');
+    item.className = itemClass;
+    item.textContent = text;
+    list.appendChild(item);
+  });
+  details.append(summary, list);
+  container.appendChild(details);
+}
+
+function exportInspectionReport() {
+  const report = viewer.getInspectionReport();
+  if (!report) {
+    alert('No hay ningún modelo que inspeccionar.');
+    return;
+  }
+  downloadBlob(
+    new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }),
+    `${getModelBaseName('modelo')}_informe.json`
   );
 }
 
 // ─────────────────────────────────────────────
-// Default EXR Loader (loads 'studio' preset)
+// Animation Panel
 // ─────────────────────────────────────────────
-function loadDefaultEXR() {
-  loadPresetEXR('evening');
+function buildAnimationPanel() {
+  const state = viewer.getAnimationState();
+
+  // Rebuild the clip list
+  const select = document.getElementById('animation-clip-select');
+  select.innerHTML = '';
+  state.clips.forEach((clip, index) => {
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = `${clip.name || `Clip ${index + 1}`} (${clip.duration.toFixed(2)} s)`;
+    select.appendChild(option);
+  });
+
+  const hasClips = state.clips.length > 0;
+  document.getElementById('animation-controls').hidden = !hasClips;
+  document.getElementById('animation-empty').hidden = hasClips;
+
+  updateAnimationUI(state);
 }
 
-// ─────────────────────────────────────────────
-// Camera Framing
-// ─────────────────────────────────────────────
-function frameModel(object) {
-  const box = new THREE.Box3().setFromObject(object);
-  const size = box.getSize(new THREE.Vector3());
-  const center = box.getCenter(new THREE.Vector3());
-  const maxDim = Math.max(size.x, size.y, size.z);
-  const fov = camera.fov * (Math.PI / 180);
-  let cameraZ = Math.abs(maxDim / (2 * Math.tan(fov / 2)));
-  cameraZ *= 1.2; // Close-up margin
+function updateAnimationUI(state) {
+  const playButton = document.getElementById('btn-anim-play');
+  playButton.textContent = state.playing ? '⏸ Pausa' : '▶ Reproducir';
+  playButton.classList.toggle('active', state.playing);
 
-  camera.position.set(center.x + cameraZ * 0.4, center.y + cameraZ * 0.25, center.z + cameraZ * 0.9);
-  orbitControls.target.copy(center);
-  orbitControls.update();
+  if (state.index >= 0) {
+    document.getElementById('animation-clip-select').value = state.index;
+    const slider = document.getElementById('slider-anim-time');
+    slider.max = state.duration;
+    slider.step = Math.max(state.duration / 500, 0.001);
+  }
+  updateAnimationTimeline(state);
 }
 
-// ─────────────────────────────────────────────
-// Reset Model Transform
-// ─────────────────────────────────────────────
-function resetModelTransform() {
-  if (!currentModel || !modelInitialTransform) return;
-  currentModel.position.copy(modelInitialTransform.position);
-  currentModel.rotation.copy(modelInitialTransform.rotation);
-  currentModel.scale.copy(modelInitialTransform.scale);
+function updateAnimationTimeline(state) {
+  if (state.index < 0) return;
+
+  if (!animationScrubbing) {
+    document.getElementById('slider-anim-time').value = state.time;
+  }
+  document.getElementById('anim-time-value').textContent = `${state.time.toFixed(2)} / ${state.duration.toFixed(2)} s`;
 }
 
 // ─────────────────────────────────────────────
-// Hologram Shader
+// Skeleton & Morph Targets Panel
 // ─────────────────────────────────────────────
-const hologramVertexShader = `
-  varying vec3 vNormal;
-  varying vec3 vWorldPosition;
-  void main() {
-    vNormal = normalize(normalMatrix * normal);
-    vec4 worldPos = modelMatrix * vec4(position, 1.0);
-    vWorldPosition = worldPos.xyz;
-    gl_Position = projectionMatrix * viewMatrix * worldPos;
-  }
-`;
-
-const hologramFragmentShader = `
-  uniform vec3 uColor;
-  uniform float uAlpha;
-  varying vec3 vNormal;
-  varying vec3 vWorldPosition;
+// The lists are rebuilt only when the active model changes; selection and
+// slider values are updated in place
+function buildBoneList(bones) {
+  const list = document.getElementById('bone-list');
+  list.innerHTML = '';
+  boneRows.clear();
+
+  bones.forEach(({ bone, name, depth }) => {
+    const row = document.createElement('div');
+    row.className = 'history-entry bone-entry';
+    row.style.paddingLeft = `${10 + Math.min(depth, 12) * 10}px`;
+    row.textContent = `🦴 ${name}`;
+    row.title = name;
+    row.addEventListener('click', () => viewer.selectBone(row.classList.contains('current') ? null : bone));
+    list.appendChild(row);
+    boneRows.set(bone, row);
+  });
+}
 
-  void main() {
-    // Subtle fresnel for soft edge highlight
-    vec3 viewDir = normalize(cameraPosition - vWorldPosition);
-    float fresnel = pow(1.0 - abs(dot(viewDir, vNormal)), 2.0);
+function buildMorphList(morphs) {
+  const container = document.getElementById('morph-list');
+  container.innerHTML = '';
+
+  morphSliders = morphs.map(({ mesh, name, targets }) => {
+    const item = document.createElement('div');
+    item.className = 'light-item';
+    const header = document.createElement('div');
+    header.className = 'light-header';
+    header.textContent = `🎭 ${name}`;
+    item.appendChild(header);
+
+    const sliders = targets.map((target) => {
+      const row = document.createElement('div');
+      row.className = 'slider-row';
+      const label = document.createElement('label');
+      label.textContent = target.name;
+      label.title = target.name;
+      const input = document.createElement('input');
+      input.type = 'range';
+      input.min = 0;
+      input.max = 1;
+      input.step = 0.01;
+      input.addEventListener('input', () => viewer.setMorphInfluence(mesh, target.index, parseFloat(input.value)));
+      const value = document.createElement('span');
+      value.className = 'slider-value';
+      row.append(label, input, value);
+      item.appendChild(row);
+      return { input, value };
+    });
+    container.appendChild(item);
+    return sliders;
+  });
 
-    // Light specular reflection
-    vec3 lightDir = normalize(vec3(5.0, 8.0, 5.0) - vWorldPosition);
-    vec3 halfDir = normalize(lightDir + viewDir);
-    float spec = pow(max(dot(vNormal, halfDir), 0.0), 32.0) * 0.5;
+  if (morphs.length > 0) {
+    container.insertAdjacentHTML('beforeend', '<p class="panel-note">Una animación que use los mismos morphs sobrescribe estos valores.</p>');
+  }
+}
 
-    vec3 color = uColor + vec3(spec);
-    float alpha = uAlpha + fresnel * 0.15 + spec * 0.2;
+function renderSkeletonPanel({ skeleton, boneNames, bones, selectedBone, weightedMeshes, morphs }) {
+  if (viewer.model !== skeletonPanelModel) {
+    skeletonPanelModel = viewer.model;
+    buildBoneList(bones);
+    buildMorphList(morphs);
+  }
 
-    gl_FragColor = vec4(color, clamp(alpha, 0.0, 0.6));
+  document.getElementById('rig-empty').hidden = bones.length > 0 || morphs.length > 0;
+  document.getElementById('skeleton-controls').hidden = bones.length === 0;
+  document.getElementById('toggle-skeleton').checked = skeleton;
+  document.getElementById('toggle-bone-names').checked = boneNames;
+  boneRows.forEach((row, bone) => row.classList.toggle('current', bone === selectedBone));
+
+  const note = document.getElementById('bone-weights-note');
+  const selected = bones.find(({ bone }) => bone === selectedBone);
+  if (!selected) {
+    note.textContent = 'Elige un hueso para ver los vértices que mueve';
+  } else if (weightedMeshes === 0) {
+    note.textContent = `«${selected.name}» no mueve ninguna malla`;
+  } else {
+    note.innerHTML = 'Peso: 0 <span class="weight-legend"></span> 1';
+    note.prepend(`«${selected.name}» en ${weightedMeshes} ${weightedMeshes === 1 ? 'malla' : 'mallas'}. `);
   }
-`;
 
-function createHologramMaterial() {
-  return new THREE.ShaderMaterial({
-    vertexShader: hologramVertexShader,
-    fragmentShader: hologramFragmentShader,
-    uniforms: {
-      uColor: { value: new THREE.Color(0x4dd7ef) },
-      uAlpha: { value: 0.30 }
-    },
-    transparent: true,
-    side: THREE.DoubleSide,
-    depthWrite: false
+  morphs.forEach(({ targets }, meshIndex) => {
+    targets.forEach((target, targetIndex) => {
+      const slider = morphSliders[meshIndex] && morphSliders[meshIndex][targetIndex];
+      if (!slider) return;
+      slider.input.value = target.value;
+      slider.value.textContent = target.value.toFixed(2);
+    });
   });
 }
 
-function toggleHologram(enabled) {
-  if (!currentModel) return;
-  hologramActive = enabled;
+// ─────────────────────────────────────────────
+// Materials Panel
+// ─────────────────────────────────────────────
+// The editor is rebuilt only when the selected mesh or the variant changes,
+// so a slider keeps working while the materialchange events it triggers
+// refresh the values
+function buildVariantOptions(variants) {
+  const select = document.getElementById('variant-select');
+  select.innerHTML = '';
+  select.add(new Option('Materiales del archivo', ''));
+  variants.forEach((name, index) => select.add(new Option(name, index)));
+  variantNames = variants;
+}
 
-  if (enabled) {
-    // Save original materials and apply hologram
-    currentModel.traverse((child) => {
-      if (child.isMesh) {
-        if (!originalMaterials.has(child.uuid)) {
-          originalMaterials.set(child.uuid, child.material);
-        }
-        child.material = createHologramMaterial();
-        child.castShadow = false;
-        child.receiveShadow = false;
+function buildMaterialList(materials) {
+  const container = document.getElementById('material-list');
+  container.innerHTML = '';
+
+  materialControls = materials.map(({ name, type, properties, textures, meshes }, index) => {
+    const item = document.createElement('div');
+    item.className = 'light-item material-item';
+    const header = document.createElement('div');
+    header.className = 'light-header';
+    header.textContent = `🎨 ${name || 'Sin nombre'} `;
+    const typeLabel = document.createElement('span');
+    typeLabel.className = 'light-type';
+    typeLabel.textContent = type.replace(/Material$/, '');
+    header.appendChild(typeLabel);
+    item.appendChild(header);
+
+    if (meshes > 1) {
+      item.insertAdjacentHTML('beforeend', `<p class="panel-note">Compartido por ${meshes} mallas: los cambios afectan a todas</p>`);
+    }
+
+    if (textures.length > 0) {
+      const grid = document.createElement('div');
+      grid.className = 'texture-slots';
+      textures.forEach((texture) => {
+        const slot = document.createElement('figure');
+        slot.className = 'texture-slot';
+        slot.title = `${texture.name}\n${texture.width}×${texture.height} · ${texture.format}`;
+        const preview = texture.preview ? document.createElement('img') : document.createElement('div');
+        preview.className = 'texture-preview';
+        if (texture.preview) preview.src = texture.preview;
+        else preview.textContent = 'Sin vista previa';
+        const caption = document.createElement('figcaption');
+        caption.textContent = texture.label;
+        slot.append(preview, caption);
+        grid.appendChild(slot);
+      });
+      item.appendChild(grid);
+    }
+
+    const controls = {};
+    Object.entries(MATERIAL_PROPERTIES).forEach(([key, { label, type: kind, range }]) => {
+      if (!(key in properties)) return;
+      const row = document.createElement('div');
+      const rowLabel = document.createElement('label');
+      rowLabel.textContent = label;
+      const input = document.createElement('input');
+      let value = null;
+
+      if (kind === 'boolean') {
+        row.className = 'toggle-row';
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle-switch';
+        input.type = 'checkbox';
+        input.addEventListener('change', () => viewer.setMaterialProperties({ [key]: input.checked }, index));
+        const slider = document.createElement('span');
+        slider.className = 'toggle-slider';
+        toggle.append(input, slider);
+        row.append(rowLabel, toggle);
+      } else if (kind === 'color') {
+        row.className = 'slider-row';
+        input.type = 'color';
+        input.className = 'color-input';
+        input.addEventListener('input', () => viewer.setMaterialProperties({ [key]: input.value }, index));
+        row.append(rowLabel, input);
+      } else {
+        row.className = 'slider-row';
+        input.type = 'range';
+        input.min = range[0];
+        input.max = range[1];
+        input.step = 0.01;
+        input.addEventListener('input', () => viewer.setMaterialProperties({ [key]: parseFloat(input.value) }, index));
+        value = document.createElement('span');
+        value.className = 'slider-value';
+        row.append(rowLabel, input, value);
       }
+      item.appendChild(row);
+      controls[key] = { input, value };
     });
-  } else {
-    // Restore original materials
-    currentModel.traverse((child) => {
-      if (child.isMesh && originalMaterials.has(child.uuid)) {
-        // Dispose hologram material
-        if (child.material && child.material.dispose) child.material.dispose();
-        child.material = originalMaterials.get(child.uuid);
-        child.castShadow = true;
-        child.receiveShadow = true;
+
+    container.appendChild(item);
+    return controls;
+  });
+}
+
+function renderMaterialPanel({ variants, variant, mesh, materials }) {
+  if (variants.join('\n') !== variantNames.join('\n')) buildVariantOptions(variants);
+  document.getElementById('variant-controls').hidden = variants.length === 0;
+  document.getElementById('variant-select').value = variant === null ? '' : variants.indexOf(variant);
+
+  const key = mesh ? `${mesh.uuid}|${variant}` : null;
+  if (key !== materialPanelKey) {
+    materialPanelKey = key;
+    buildMaterialList(materials);
+  }
+
+  document.getElementById('material-note').hidden = materials.length > 0;
+
+  materials.forEach(({ properties }, index) => {
+    Object.entries(properties).forEach(([property, value]) => {
+      const control = materialControls[index] && materialControls[index][property];
+      if (!control) return;
+      if (control.input.type === 'checkbox') {
+        control.input.checked = value;
+      } else {
+        control.input.value = value;
+        if (control.value) control.value.textContent = value.toFixed(2);
       }
     });
+  });
+}
+
+// ─────────────────────────────────────────────
+// GLB Export
+// ─────────────────────────────────────────────
+function getExportOptions() {
+  return {
+    selectionOnly: document.getElementById('toggle-export-selection').checked,
+    bakeCentering: document.getElementById('toggle-export-bake').checked,
+    embedTextures: document.getElementById('toggle-export-textures').checked,
+    excludeHelpers: document.getElementById('toggle-export-helpers').checked
+  };
+}
+
+function exportGLB() {
+  if (!viewer.model) {
+    alert('No hay ningún modelo para exportar.');
+    return;
   }
+
+  showLoading(true, 'Exportando GLB...');
+  viewer.exportGLB(getExportOptions())
+    .then((blob) => downloadBlob(blob, `${getModelBaseName('modelo')}_export.glb`))
+    .catch((error) => {
+      console.error('Error exporting GLB:', error);
+      alert('Error al exportar el modelo. Revisa la consola para más detalles.');
+    })
+    .finally(() => showLoading(false));
+}
+
+function getModelBaseName(fallback) {
+  return viewer.model ? viewer.model.name.replace(/\.[^.]+$/, '') : fallback;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // ─────────────────────────────────────────────
-// Reset Camera
+// High-Resolution Screenshot
 // ─────────────────────────────────────────────
-function resetCamera() {
-  if (currentModel) {
-    frameModel(currentModel);
-  } else {
-    camera.position.set(3, 2, 5);
-    orbitControls.target.set(0, 0, 0);
-    orbitControls.update();
+const SCREENSHOT_PRESETS = {
+  '1080p': { width: 1920, height: 1080 },
+  '1440p': { width: 2560, height: 1440 },
+  '4k':    { width: 3840, height: 2160 }
+};
+
+function getScreenshotOptions() {
+  const preset = document.getElementById('screenshot-resolution').value;
+  const size = SCREENSHOT_PRESETS[preset] || {
+    width: parseInt(document.getElementById('screenshot-width').value, 10) || 1920,
+    height: parseInt(document.getElementById('screenshot-height').value, 10) || 1080
+  };
+  return {
+    ...size,
+    background: document.getElementById('screenshot-background').value,
+    backgroundColor: document.getElementById('screenshot-bg-color').value,
+    hideHelpers: document.getElementById('toggle-screenshot-helpers').checked
+  };
+}
+
+function takeScreenshot() {
+  const options = getScreenshotOptions();
+  showLoading(true, `Renderizando captura ${options.width}×${options.height}...`);
+
+  // Let the loading overlay paint before the (possibly slow) render
+  requestAnimationFrame(() => {
+    viewer.screenshot(options)
+      .then(({ blob, width, height }) => {
+        downloadBlob(blob, `${getModelBaseName('captura')}_${width}x${height}.png`);
+      })
+      .catch((error) => {
+        console.error('Error capturing screenshot:', error);
+        alert('Error al generar la captura. Revisa la consola para más detalles.');
+      })
+      .finally(() => showLoading(false));
+  });
+}
+
+// ─────────────────────────────────────────────
+// Turntable Recording
+// ─────────────────────────────────────────────
+function getTurntableOptions() {
+  return {
+    ...getScreenshotOptions(),
+    frameCount: Math.max(2, parseInt(document.getElementById('turntable-frames').value, 10) || 120),
+    fps: Math.max(1, parseInt(document.getElementById('turntable-fps').value, 10) || 30),
+    format: document.getElementById('turntable-format').value
+  };
+}
+
+async function recordTurntable() {
+  if (!viewer.model) {
+    alert('No hay ningún modelo para grabar.');
+    return;
+  }
+  if (viewer.isRecording) return;
+
+  const options = getTurntableOptions();
+  const verb = options.format === 'png' ? 'Renderizando' : 'Grabando';
+
+  try {
+    const { blob, extension } = await viewer.recordTurntable({
+      ...options,
+      onProgress: (frame, frameCount) => showLoading(true, `${verb} fotograma ${frame} / ${frameCount}...`)
+    });
+    downloadBlob(blob, `${getModelBaseName('turntable')}_turntable.${extension}`);
+  } catch (error) {
+    console.error('Error recording turntable:', error);
+    alert('Error al grabar el turntable. Revisa la consola para más detalles.');
+  } finally {
+    showLoading(false);
   }
 }
 
 // ─────────────────────────────────────────────
-// Dispose Helper
+// Environments (download errors & local library)
 // ─────────────────────────────────────────────
-function disposeObject(obj) {
-  obj.traverse((child) => {
-    if (child.geometry) child.geometry.dispose();
-    if (child.material) {
-      if (Array.isArray(child.material)) {
-        child.material.forEach((m) => disposeMaterial(m));
-      } else {
-        disposeMaterial(child.material);
+// Shows the presets that failed to download in the selector itself
+function markEnvironmentOption(key, failed) {
+  const option = document.querySelector(`#env-select option[value="${key}"]`);
+  if (!option) return;
+  if (!option.dataset.label) option.dataset.label = option.textContent;
+  option.textContent = failed ? `${option.dataset.label} ⚠ sin conexión` : option.dataset.label;
+}
+
+function setEnvironmentError(message) {
+  const envSelect = document.getElementById('env-select');
+  envSelect.classList.toggle('env-error', !!message);
+  envSelect.title = message || '';
+}
+
+// Rebuilds the "Biblioteca local" group of #env-select from IndexedDB
+function renderEnvironmentLibrary() {
+  const envSelect = document.getElementById('env-select');
+  return listLibraryEnvironments()
+    .then((entries) => {
+      const selected = envSelect.value;
+      const previousGroup = document.getElementById('env-library');
+      if (previousGroup) previousGroup.remove();
+
+      if (entries.length > 0) {
+        const group = document.createElement('optgroup');
+        group.id = 'env-library';
+        group.label = 'Biblioteca local';
+        entries.forEach((entry) => {
+          const option = document.createElement('option');
+          option.value = `${LIBRARY_OPTION_PREFIX}${entry.id}`;
+          option.textContent = `💾 ${entry.name} (${formatBytes(entry.size)})`;
+          group.appendChild(option);
+        });
+        envSelect.insertBefore(group, envSelect.querySelector('option[value="custom"]'));
       }
+
+      const stillListed = [...envSelect.options].some((option) => option.value === selected);
+      envSelect.value = stillListed ? selected : viewer.environment || DEFAULT_ENVIRONMENT;
+      updateEnvironmentActions();
+    })
+    .catch((error) => console.warn('Local environment library is not available:', error));
+}
+
+function updateEnvironmentActions() {
+  const value = document.getElementById('env-select').value;
+  document.getElementById('btn-remove-env').hidden = !value.startsWith(LIBRARY_OPTION_PREFIX);
+}
+
+// Applies an imported EXR/HDR and keeps a copy for later visits
+function importEnvironmentFile(file) {
+  return viewer.setEnvironment(file).then((applied) => {
+    if (!applied) return;
+    return saveLibraryEnvironment(file)
+      .then((entry) => renderEnvironmentLibrary().then(() => {
+        document.getElementById('env-select').value = `${LIBRARY_OPTION_PREFIX}${entry.id}`;
+        updateEnvironmentActions();
+      }))
+      .catch((error) => console.warn('Could not save the environment in the local library:', error));
+  });
+}
+
+function getSelectedLibraryId() {
+  const value = document.getElementById('env-select').value;
+  return value.startsWith(LIBRARY_OPTION_PREFIX) ? Number(value.slice(LIBRARY_OPTION_PREFIX.length)) : null;
+}
+
+function applyLibraryEnvironment(id) {
+  loadLibraryEnvironment(id)
+    .then((file) => viewer.setEnvironment(file))
+    .catch((error) => {
+      console.error('Error reading environment from the local library:', error);
+      alert('No se pudo abrir el entorno de la biblioteca local.');
+    });
+}
+
+// The environment stays applied, only the cached copy is deleted
+function removeSelectedLibraryEnvironment() {
+  const id = getSelectedLibraryId();
+  if (id === null) return;
+  removeLibraryEnvironment(id)
+    .then(() => {
+      document.getElementById('env-select').value = viewer.environment || DEFAULT_ENVIRONMENT;
+      return renderEnvironmentLibrary();
+    })
+    .catch((error) => {
+      console.error('Error removing environment from the local library:', error);
+      alert('No se pudo quitar el entorno de la biblioteca local.');
+    });
+}
+
+// --- Rotation, intensity & background ---
+
+function buildBackdropOptions() {
+  const select = document.getElementById('backdrop-select');
+  Object.entries(ENV_PRESETS).forEach(([key, preset]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = preset.label;
+    select.appendChild(option);
+  });
+  const custom = document.createElement('option');
+  custom.value = 'custom';
+  custom.textContent = '📂 Cargar EXR / HDR...';
+  select.appendChild(custom);
+}
+
+function renderEnvironmentControls({ rotation, intensity, background }) {
+  document.getElementById('slider-env-rotation').value = rotation;
+  document.getElementById('env-rotation-value').textContent = `${Math.round(rotation)}°`;
+  document.getElementById('slider-env-intensity').value = intensity;
+  document.getElementById('env-intensity-value').textContent = intensity.toFixed(2);
+
+  const { mode } = background;
+  document.getElementById('background-mode').value = mode;
+
+  const backdropSelect = document.getElementById('backdrop-select');
+  backdropSelect.hidden = mode !== 'backdrop';
+  if (background.backdrop) backdropSelect.value = background.backdrop;
+  backdropSelect.title = background.backdropName || '';
+
+  const color = document.getElementById('background-color');
+  color.hidden = mode !== 'color';
+  color.value = background.color;
+
+  document.getElementById('background-gradient').hidden = mode !== 'gradient';
+  document.getElementById('background-gradient-top').value = background.gradient[0];
+  document.getElementById('background-gradient-bottom').value = background.gradient[1];
+
+  // Blur only applies to HDRI backgrounds
+  document.getElementById('background-blur-row').hidden = mode !== 'environment' && mode !== 'backdrop';
+  document.getElementById('slider-background-blur').value = background.blur;
+  document.getElementById('background-blur-value').textContent = background.blur.toFixed(2);
+}
+
+// ─────────────────────────────────────────────
+// Lights Panel
+// ─────────────────────────────────────────────
+// Rows are rebuilt only when lights come or go, so a slider keeps working
+// while the lightchange events it triggers refresh the values
+function buildShadowOptions() {
+  const select = document.getElementById('shadow-map-size');
+  SHADOW_MAP_SIZES.forEach((size) => select.add(new Option(`Mapa de sombras ${size}px`, size)));
+  document.getElementById('slider-shadow-softness').max = SHADOW_SOFTNESS_MAX;
+}
+
+function buildLightList(lights) {
+  const container = document.getElementById('light-list');
+  container.innerHTML = '';
+  lightRows.clear();
+
+  if (lights.length === 0) {
+    container.innerHTML = '<p class="panel-note">No hay luces en la escena</p>';
+    return;
+  }
+
+  lights.forEach(({ id, type }) => {
+    const item = document.createElement('div');
+    item.className = 'light-item';
+
+    const header = document.createElement('div');
+    header.className = 'light-header';
+
+    const label = document.createElement('label');
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.addEventListener('change', () => viewer.setLight(id, { enabled: enabled.checked }));
+    const name = document.createElement('span');
+    const typeLabel = document.createElement('span');
+    typeLabel.className = 'light-type';
+    typeLabel.textContent = LIGHT_TYPES[type].label;
+    label.append(enabled, name, typeLabel);
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.className = 'color-input';
+    color.title = 'Color';
+    color.addEventListener('input', () => viewer.setLight(id, { color: color.value }));
+    header.append(label, color);
+
+    const actions = {};
+    const addAction = (key, icon, title, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'outliner-action';
+      button.title = title;
+      button.textContent = icon;
+      button.addEventListener('click', onClick);
+      header.appendChild(button);
+      actions[key] = button;
+    };
+    if (LIGHT_TYPES[type].positional) {
+      addAction('shadow', '◐', 'Proyectar sombras', () => {
+        viewer.setLight(id, { castShadow: !actions.shadow.classList.contains('active') });
+      });
+      addAction('edit', '✥', 'Mover con el gizmo', () => {
+        viewer.editLight(viewer.getLightState().editing === id ? null : id);
+      });
     }
+    addAction('remove', '✕', 'Quitar luz', () => viewer.removeLight(id));
+    actions.remove.classList.add('active');
+
+    const intensityRow = document.createElement('div');
+    intensityRow.className = 'slider-row';
+    const intensityLabel = document.createElement('label');
+    intensityLabel.textContent = 'Intensidad';
+    const intensity = document.createElement('input');
+    intensity.type = 'range';
+    intensity.min = 0;
+    intensity.max = LIGHT_INTENSITY_MAX;
+    intensity.step = 0.05;
+    intensity.addEventListener('input', () => viewer.setLight(id, { intensity: parseFloat(intensity.value) }));
+    const intensityValue = document.createElement('span');
+    intensityValue.className = 'slider-value';
+    intensityRow.append(intensityLabel, intensity, intensityValue);
+
+    item.append(header, intensityRow);
+    container.appendChild(item);
+    lightRows.set(id, { item, enabled, name, color, intensity, intensityValue, actions });
   });
 }
 
-function disposeMaterial(material) {
-  for (const key of Object.keys(material)) {
-    const value = material[key];
-    if (value && typeof value === 'object' && typeof value.dispose === 'function') {
-      value.dispose();
+function renderLights({ lights, shadows, helpers, editing }) {
+  const ids = lights.map((light) => light.id);
+  if (ids.length === 0 || ids.join(',') !== [...lightRows.keys()].join(',')) buildLightList(lights);
+
+  lights.forEach((light) => {
+    const row = lightRows.get(light.id);
+    row.item.classList.toggle('disabled', !light.enabled);
+    row.enabled.checked = light.enabled;
+    row.name.textContent = light.name;
+    row.color.value = light.color;
+    row.intensity.value = light.intensity;
+    row.intensityValue.textContent = light.intensity.toFixed(2);
+    if (row.actions.shadow) row.actions.shadow.classList.toggle('active', light.castShadow);
+    if (row.actions.edit) {
+      row.actions.edit.classList.toggle('active', editing === light.id);
+      row.actions.edit.disabled = !light.enabled;
     }
+  });
+
+  document.getElementById('toggle-light-helpers').checked = helpers;
+  document.getElementById('shadow-map-size').value = shadows.mapSize;
+  document.getElementById('slider-shadow-bias').value = shadows.bias;
+  document.getElementById('shadow-bias-value').textContent = shadows.bias.toFixed(4);
+  document.getElementById('slider-shadow-softness').value = shadows.softness;
+  document.getElementById('shadow-softness-value').textContent = shadows.softness.toFixed(1);
+}
+
+// ─────────────────────────────────────────────
+// Post-Processing Panel
+// ─────────────────────────────────────────────
+const POST_EFFECTS = ['ssao', 'bloom', 'dof', 'vignette'];
+
+// Effect parameter ↔ slider id (its readout is `<id>-value`) ↔ decimals shown
+const POST_SLIDERS = [
+  { effect: 'ssao', key: 'radius', id: 'ssao-radius', decimals: 3 },
+  { effect: 'bloom', key: 'strength', id: 'bloom-strength', decimals: 2 },
+  { effect: 'bloom', key: 'radius', id: 'bloom-radius', decimals: 2 },
+  { effect: 'bloom', key: 'threshold', id: 'bloom-threshold', decimals: 2 },
+  { effect: 'dof', key: 'aperture', id: 'dof-aperture', decimals: 2 },
+  { effect: 'dof', key: 'maxBlur', id: 'dof-max-blur', decimals: 3 },
+  { effect: 'vignette', key: 'offset', id: 'vignette-offset', decimals: 2 },
+  { effect: 'vignette', key: 'darkness', id: 'vignette-darkness', decimals: 2 }
+];
+
+function renderPostProcessing(state) {
+  document.getElementById('tone-mapping').value = state.toneMapping;
+  document.getElementById('antialias-mode').value = state.antialias;
+
+  POST_EFFECTS.forEach((effect) => {
+    document.getElementById(`toggle-${effect}`).checked = state[effect].enabled;
+    document.getElementById(`${effect}-params`).hidden = !state[effect].enabled;
+  });
+  POST_SLIDERS.forEach(({ effect, key, id, decimals }) => {
+    document.getElementById(`slider-${id}`).value = state[effect][key];
+    document.getElementById(`${id}-value`).textContent = state[effect][key].toFixed(decimals);
+  });
+
+  document.getElementById('btn-dof-focus').classList.toggle('active', state.focusPicking);
+  document.getElementById('btn-dof-focus-reset').disabled = !state.dof.focusPoint;
+  document.getElementById('dof-focus-note').textContent = state.focusPicking
+    ? 'Haz clic sobre un modelo para enfocarlo'
+    : (state.dof.focusPoint ? 'Enfoque: punto elegido' : 'Enfoque: centro de la órbita');
+}
+
+// ─────────────────────────────────────────────
+// View State (shareable URL + JSON scene files)
+// ─────────────────────────────────────────────
+// Display toggles: state key ↔ checkbox id ↔ short URL parameter
+const DISPLAY_TOGGLES = [
+  { key: 'grid', input: 'toggle-grid', param: 'grid' },
+  { key: 'axes', input: 'toggle-axes', param: 'axes' },
+  { key: 'hdriBackground', input: 'toggle-hdri-bg', param: 'bg' },
+  { key: 'autoRotate', input: 'toggle-auto-rotate', param: 'rotate' }
+];
+
+// Links from before the view mode selector carried these two as toggles
+const LEGACY_VIEW_MODE_PARAMS = { holo: 'hologram', wire: 'wireframe' };
+
+// Applies a view state, falling back to the default model and environment
+// when the state does not name one and the viewer has none yet
+function restoreViewState(state) {
+  const fullState = { ...state };
+  if (!(state.model && state.model.url) && !viewer.model) fullState.model = DEFAULT_MODEL;
+  if (!ENV_PRESETS[state.environment]) {
+    fullState.environment = viewer.getInfo().environment ? null : DEFAULT_ENVIRONMENT;
+  }
+
+  const ready = viewer.applyViewState(fullState);
+  syncExposureSlider();
+  return ready;
+}
+
+// --- URL parameters ---
+
+function viewStateToURL(state) {
+  const params = new URLSearchParams();
+  if (state.model) params.set('model', state.model.url);
+  if (state.environment) params.set('env', state.environment);
+  if (state.environmentSettings.rotation) params.set('envrot', state.environmentSettings.rotation);
+  if (state.environmentSettings.intensity !== 1) params.set('envint', state.environmentSettings.intensity);
+  params.set('exposure', state.exposure);
+  if (state.postProcessing.toneMapping !== 'aces') params.set('tonemap', state.postProcessing.toneMapping);
+  DISPLAY_TOGGLES.forEach(({ key, param }) => params.set(param, state.display[key] ? '1' : '0'));
+  if (state.display.viewMode !== 'lit') params.set('view', state.display.viewMode);
+  const background = state.background;
+  if (background.mode !== 'environment') params.set('bgmode', background.mode);
+  if (background.mode === 'color') params.set('bgcolor', background.color.slice(1));
+  if (background.mode === 'gradient') params.set('bggrad', background.gradient.map((color) => color.slice(1)).join(','));
+  if (background.blur > 0) params.set('bgblur', background.blur);
+  if (background.backdrop) params.set('backdrop', background.backdrop);
+  if (state.modelTransform) {
+    params.set('pos', state.modelTransform.position.join(','));
+    params.set('rot', state.modelTransform.rotation.join(','));
+    params.set('scale', state.modelTransform.scale.join(','));
+  }
+  params.set('cam', state.camera.position.join(','));
+  params.set('target', state.camera.target.join(','));
+  if (state.camera.projection === 'orthographic') params.set('proj', 'ortho');
+  params.set('fov', state.camera.fov);
+  if (state.camera.zoom !== 1) params.set('zoom', state.camera.zoom);
+
+  const url = new URL(window.location.href);
+  url.search = params.toString();
+  url.hash = '';
+  return url.toString();
+}
+
+function readViewStateFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  if ([...params.keys()].length === 0) return null;
+
+  const parseVector = (name) => {
+    const values = (params.get(name) || '').split(',').map(Number);
+    return isVectorArray(values) ? values : null;
+  };
+
+  const state = {
+    version: VIEW_STATE_VERSION,
+    model: null,
+    environment: params.get('env'),
+    exposure: params.has('exposure') ? parseFloat(params.get('exposure')) : null,
+    environmentSettings: null,
+    background: null,
+    postProcessing: params.has('tonemap') ? { toneMapping: params.get('tonemap') } : null,
+    display: {},
+    modelTransform: null,
+    camera: null
+  };
+
+  if (params.has('model')) {
+    const url = params.get('model');
+    state.model = { url, name: decodeURIComponent(url.split(/[?#]/)[0].split('/').pop()) };
+  }
+  if (!Number.isFinite(state.exposure)) state.exposure = null;
+
+  // Invalid values are ignored by the viewer
+  if (params.has('envrot') || params.has('envint')) {
+    state.environmentSettings = {
+      rotation: parseFloat(params.get('envrot')),
+      intensity: parseFloat(params.get('envint'))
+    };
+  }
+  if (['bgmode', 'bgcolor', 'bggrad', 'bgblur', 'backdrop'].some((name) => params.has(name))) {
+    state.background = {
+      mode: params.get('bgmode'),
+      color: `#${params.get('bgcolor')}`,
+      gradient: (params.get('bggrad') || '').split(',').map((color) => `#${color}`),
+      blur: parseFloat(params.get('bgblur')),
+      backdrop: params.get('backdrop')
+    };
+  }
+
+  DISPLAY_TOGGLES.forEach(({ key, param }) => {
+    if (params.has(param)) state.display[key] = params.get(param) === '1';
+  });
+  Object.entries(LEGACY_VIEW_MODE_PARAMS).forEach(([param, key]) => {
+    if (params.has(param)) state.display[key] = params.get(param) === '1';
+  });
+  if (params.has('view')) state.display.viewMode = params.get('view');
+
+  if (params.has('pos') || params.has('rot') || params.has('scale')) {
+    state.modelTransform = { position: parseVector('pos'), rotation: parseVector('rot'), scale: parseVector('scale') };
+  }
+  if (params.has('cam') || params.has('target')) {
+    state.camera = {
+      position: parseVector('cam'),
+      target: parseVector('target'),
+      projection: params.get('proj') === 'ortho' ? 'orthographic' : 'perspective',
+      fov: params.has('fov') ? parseFloat(params.get('fov')) : null,
+      zoom: params.has('zoom') ? parseFloat(params.get('zoom')) : null
+    };
+  }
+
+  return state;
+}
+
+// Links only carry the first model; scene files carry every shareable one
+function warnUnsharedSources(state, { link = false } = {}) {
+  const notes = [];
+  const localModels = viewer.models.length - state.models.length;
+  if (localModels === 1) notes.push(viewer.models.length === 1 ? 'el modelo se cargó desde archivos locales' : 'un modelo se cargó desde archivos locales');
+  if (localModels > 1) notes.push(`${localModels} modelos se cargaron desde archivos locales`);
+  if (viewer.getInfo().environment && !state.environment) notes.push('el entorno es un HDRI personalizado');
+  if (state.background.mode === 'backdrop' && !state.background.backdrop && viewer.getEnvironmentState().background.backdropName) {
+    notes.push('el fondo es un HDRI personalizado');
+  }
+
+  const messages = [];
+  if (notes.length > 0) {
+    messages.push(`Aviso: ${notes.join(' y ')}, por lo que no se incluye y se usará el valor por defecto al abrirlo.`);
+  }
+  if (link && state.models.length > 1) {
+    messages.push(`El enlace solo incluye el primer modelo. Guarda un archivo de escena para conservar los ${state.models.length}.`);
+  }
+  if (messages.length > 0) alert(messages.join('\n\n'));
+}
+
+function copyShareLink() {
+  const state = viewer.getViewState();
+  const url = viewStateToURL(state);
+  window.history.replaceState(null, '', url);
+  warnUnsharedSources(state, { link: true });
+
+  const fallback = () => window.prompt('Copia este enlace:', url);
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url)
+      .then(() => showToast('Enlace copiado al portapapeles'))
+      .catch(fallback);
+  } else {
+    fallback();
   }
-  material.dispose();
+}
+
+// --- JSON scene files ---
+
+function saveSceneFile() {
+  const state = viewer.getViewState();
+  warnUnsharedSources(state);
+  downloadBlob(
+    new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' }),
+    `${getModelBaseName('escena')}_escena.json`
+  );
+}
+
+function loadSceneFile(file) {
+  file.text()
+    .then((text) => {
+      const state = JSON.parse(text);
+      if (!state || typeof state !== 'object' || state.version !== VIEW_STATE_VERSION) {
+        throw new Error(`Unsupported scene file version: ${state && state.version}`);
+      }
+      return restoreViewState(state);
+    })
+    .catch((error) => {
+      console.error('Error loading scene file:', error);
+      alert('El archivo de escena no es válido. Revisa la consola para más detalles.');
+    });
 }
 
 // ─────────────────────────────────────────────
@@ -559,31 +1656,57 @@ function showLoading(visible, message) {
   overlay.classList.toggle('visible', visible);
 }
 
+let toastTimer = null;
+
+function showToast(message, duration = 2500) {
+  const toast = document.getElementById('toast');
+  toast.textContent = message;
+  toast.classList.add('visible');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => toast.classList.remove('visible'), duration);
+}
+
 function updateInfoBar() {
   const bar = document.getElementById('info-bar');
-  let info = `Renderer: WebGL | Tone Mapping: ACES Filmic`;
-  if (currentModel) {
-    let triCount = 0;
-    currentModel.traverse((c) => {
-      if (c.isMesh && c.geometry) {
-        const idx = c.geometry.index;
-        triCount += idx ? idx.count / 3 : c.geometry.attributes.position.count / 3;
-      }
-    });
-    info += ` | Triángulos: ${Math.round(triCount).toLocaleString()}`;
-    info += ` | Modelo: ${currentModel.name}`;
+  const info = viewer.getInfo();
+  let text = `Renderer: ${info.renderer} | Tone Mapping: ${info.toneMapping}`;
+  if (info.postProcessing.length > 0) text += ` | Post-procesado: ${info.postProcessing.join(' + ')}`;
+  if (info.modelCount > 1) {
+    text += ` | Modelos: ${info.modelCount} (${info.triangles.toLocaleString()} triángulos)`;
+    text += ` | Activo: ${info.modelName} (${info.modelTriangles.toLocaleString()} triángulos)`;
+  } else if (info.modelName) {
+    text += ` | Triángulos: ${info.triangles.toLocaleString()}`;
+    text += ` | Modelo: ${info.modelName}`;
   }
-  if (currentHDRI) {
-    info += ` | HDRI: Activo`;
+  if (info.environment) {
+    text += info.environmentFallback ? ' | HDRI: Estudio generado (sin conexión)' : ' | HDRI: Activo';
   }
-  bar.textContent = info;
+  bar.textContent = text;
+}
+
+function buildViewModeOptions() {
+  const select = document.getElementById('view-mode');
+  Object.entries(VIEW_MODES).forEach(([key, { label }]) => select.add(new Option(label, key)));
+}
+
+function syncDisplayToggles(display) {
+  DISPLAY_TOGGLES.forEach(({ key, input }) => {
+    document.getElementById(input).checked = display[key];
+  });
+  document.getElementById('view-mode').value = display.viewMode;
+}
+
+function syncExposureSlider() {
+  const exposure = viewer.exposure;
+  document.getElementById('slider-exposure').value = exposure;
+  document.getElementById('exposure-value').textContent = exposure.toFixed(2);
 }
 
 // ─────────────────────────────────────────────
-// Transform Mode Switching
+// Transform Mode Switching & Numeric Transform
 // ─────────────────────────────────────────────
 function setTransformMode(mode) {
-  transformControls.setMode(mode);
+  viewer.setTransformMode(mode);
 
   // Update button active states
   document.querySelectorAll('.btn-transform').forEach((btn) => {
@@ -591,6 +1714,34 @@ function setTransformMode(mode) {
   });
 }
 
+function buildTransformSpaceOptions() {
+  const select = document.getElementById('transform-space');
+  Object.entries(TRANSFORM_SPACES).forEach(([key, label]) => select.add(new Option(`Espacio ${label}`, key)));
+}
+
+// A field being typed in keeps its text until it is committed
+function renderTransform({ space, snap, uniformScale, object }) {
+  document.getElementById('transform-space').value = space;
+  document.getElementById('btn-uniform-scale').classList.toggle('active', uniformScale);
+  document.getElementById('transform-note').hidden = !!object;
+  document.getElementById('btn-drop-to-ground').disabled = !object;
+  document.getElementById('btn-center-origin').disabled = !object;
+
+  document.querySelectorAll('.transform-row').forEach((row) => {
+    row.querySelectorAll('input').forEach((input) => {
+      input.disabled = !object;
+      if (input === document.activeElement) return;
+      input.value = object ? object[row.dataset.property][input.dataset.axis] : '';
+    });
+  });
+
+  document.getElementById('toggle-snap').checked = snap.enabled;
+  ['translate', 'rotate', 'scale'].forEach((key) => {
+    const input = document.getElementById(`snap-${key}`);
+    if (input !== document.activeElement) input.value = snap[key];
+  });
+}
+
 // ─────────────────────────────────────────────
 // Drag & Drop Support
 // ─────────────────────────────────────────────
@@ -622,21 +1773,37 @@ function setupDragAndDrop() {
     dragCounter = 0;
     overlay.classList.remove('visible');
 
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-      const file = files[0];
-      const name = file.name.toLowerCase();
-      if (name.endsWith('.glb') || name.endsWith('.gltf')) {
-        loadGLBModel(file);
-      } else if (name.endsWith('.exr')) {
-        loadHDRI(file);
-      } else {
-        alert('Formato no soportado. Usa archivos .glb o .exr');
-      }
-    }
+    // Entries must be read synchronously, the DataTransfer is emptied
+    // once the event handler returns.
+    collectDroppedFiles(e.dataTransfer)
+      .then(handleFileSelection)
+      .catch((error) => {
+        console.error('Error reading dropped files:', error);
+        alert('No se pudieron leer los archivos soltados.');
+      });
   });
 }
 
+// Routes a set of files (from drop or file input) to the right loader.
+function handleFileSelection(entries) {
+  if (entries.length === 0) return;
+
+  if (hasModelFile(entries)) {
+    viewer.loadModel(entries, { add: document.getElementById('toggle-add-model').checked });
+    return;
+  }
+
+  const hdri = entries.find(({ path }) => ENVIRONMENT_EXTENSIONS.includes(getFileExtension(path)));
+  const sceneFile = entries.find(({ path }) => path.toLowerCase().endsWith('.json'));
+  if (hdri) {
+    importEnvironmentFile(hdri.file);
+  } else if (sceneFile) {
+    loadSceneFile(sceneFile.file);
+  } else {
+    alert('Formato no soportado. Usa modelos .glb / .gltf / .fbx / .obj / .stl / .ply / .usdz (con sus archivos asociados) o .exr / .hdr');
+  }
+}
+
 // ─────────────────────────────────────────────
 // UI Event Listeners
 // ─────────────────────────────────────────────
@@ -651,7 +1818,7 @@ function setupUIListeners() {
 
   glbInput.addEventListener('change', (e) => {
     if (e.target.files.length > 0) {
-      loadGLBModel(e.target.files[0]);
+      handleFileSelection(fileListToEntries(e.target.files));
       e.target.value = ''; // Reset so same file can be reloaded
     }
   });
@@ -663,19 +1830,59 @@ function setupUIListeners() {
     if (value === 'custom') {
       hdriInput.click();
       // Reset select to previous value after file dialog
-      envSelect.value = 'evening';
+      envSelect.value = viewer.environment || DEFAULT_ENVIRONMENT;
+    } else if (value.startsWith(LIBRARY_OPTION_PREFIX)) {
+      applyLibraryEnvironment(getSelectedLibraryId());
     } else {
-      loadPresetEXR(value);
+      viewer.setEnvironment(value);
     }
+    updateEnvironmentActions();
   });
 
   hdriInput.addEventListener('change', (e) => {
     if (e.target.files.length > 0) {
-      loadHDRI(e.target.files[0]);
+      importEnvironmentFile(e.target.files[0]);
+      e.target.value = '';
+    }
+  });
+  document.getElementById('btn-remove-env').addEventListener('click', removeSelectedLibraryEnvironment);
+
+  // --- Environment Rotation / Intensity & Background ---
+  document.getElementById('slider-env-rotation').addEventListener('input', (e) => {
+    viewer.setEnvironmentSettings({ rotation: parseFloat(e.target.value) });
+  });
+  document.getElementById('slider-env-intensity').addEventListener('input', (e) => {
+    viewer.setEnvironmentSettings({ intensity: parseFloat(e.target.value) });
+  });
+  document.getElementById('background-mode').addEventListener('change', (e) => viewer.setBackground({ mode: e.target.value }));
+
+  const backdropSelect = document.getElementById('backdrop-select');
+  const backdropInput = document.getElementById('backdrop-input');
+  backdropSelect.addEventListener('change', () => {
+    if (backdropSelect.value === 'custom') {
+      backdropInput.click();
+      backdropSelect.value = viewer.getEnvironmentState().background.backdrop || '';
+    } else {
+      viewer.setBackdrop(backdropSelect.value);
+    }
+  });
+  backdropInput.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      viewer.setBackdrop(e.target.files[0]);
       e.target.value = '';
     }
   });
 
+  const gradientTop = document.getElementById('background-gradient-top');
+  const gradientBottom = document.getElementById('background-gradient-bottom');
+  const setGradient = () => viewer.setBackground({ gradient: [gradientTop.value, gradientBottom.value] });
+  gradientTop.addEventListener('input', setGradient);
+  gradientBottom.addEventListener('input', setGradient);
+  document.getElementById('background-color').addEventListener('input', (e) => viewer.setBackground({ color: e.target.value }));
+  document.getElementById('slider-background-blur').addEventListener('input', (e) => {
+    viewer.setBackground({ blur: parseFloat(e.target.value) });
+  });
+
   // --- Transform Mode Buttons ---
   document.querySelectorAll('.btn-transform').forEach((btn) => {
     btn.addEventListener('click', () => {
@@ -684,51 +1891,211 @@ function setupUIListeners() {
   });
 
   // --- Reset Camera ---
-  document.getElementById('btn-reset-camera').addEventListener('click', resetCamera);
+  document.getElementById('btn-reset-camera').addEventListener('click', () => viewer.resetCamera());
+  document.getElementById('btn-frame-all').addEventListener('click', () => viewer.frameAll());
 
-  // --- Reset Model Transform ---
-  document.getElementById('btn-reset-model').addEventListener('click', resetModelTransform);
+  // --- Undo / Redo ---
+  document.getElementById('btn-undo').addEventListener('click', () => viewer.undo());
+  document.getElementById('btn-redo').addEventListener('click', () => viewer.redo());
 
-  // --- Grid Toggle ---
-  document.getElementById('toggle-grid').addEventListener('change', (e) => {
-    gridHelper.visible = e.target.checked;
+  // --- Standard Views, Projection & Bookmarks ---
+  document.querySelectorAll('.btn-view').forEach((btn) => {
+    btn.addEventListener('click', () => viewer.setStandardView(btn.dataset.view));
+  });
+  document.getElementById('toggle-orthographic').addEventListener('change', (e) => {
+    viewer.setProjection(e.target.checked ? 'orthographic' : 'perspective');
+  });
+  document.getElementById('slider-fov').addEventListener('input', (e) => viewer.setFieldOfView(parseFloat(e.target.value)));
+  document.getElementById('btn-add-bookmark').addEventListener('click', addCameraBookmark);
+  document.getElementById('bookmark-name').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addCameraBookmark();
   });
 
-  // --- Axes Toggle ---
-  document.getElementById('toggle-axes').addEventListener('change', (e) => {
-    axesHelper.visible = e.target.checked;
+  // --- Numeric Transform & Snapping ---
+  document.getElementById('transform-space').addEventListener('change', (e) => {
+    viewer.setTransformSettings({ space: e.target.value });
+  });
+  document.querySelectorAll('.transform-row').forEach((row) => {
+    const inputs = [...row.querySelectorAll('input')];
+    inputs.forEach((input) => {
+      // Blurred first so the committed value is redrawn (lock, invalid input)
+      input.addEventListener('change', () => {
+        input.blur();
+        viewer.setTransform({ [row.dataset.property]: inputs.map((field) => parseFloat(field.value)) });
+      });
+    });
+  });
+  document.getElementById('btn-uniform-scale').addEventListener('click', () => {
+    viewer.setTransformSettings({ uniformScale: !viewer.getTransformState().uniformScale });
+  });
+  document.getElementById('btn-drop-to-ground').addEventListener('click', () => viewer.dropToGround());
+  document.getElementById('btn-center-origin').addEventListener('click', () => viewer.centerOnOrigin());
+  document.getElementById('toggle-snap').addEventListener('change', (e) => {
+    viewer.setTransformSettings({ snap: { enabled: e.target.checked } });
+  });
+  ['translate', 'rotate', 'scale'].forEach((key) => {
+    document.getElementById(`snap-${key}`).addEventListener('change', (e) => {
+      e.target.blur();
+      viewer.setTransformSettings({ snap: { [key]: parseFloat(e.target.value) } });
+    });
   });
 
-  // --- HDRI Background Toggle ---
-  document.getElementById('toggle-hdri-bg').addEventListener('change', (e) => {
-    if (e.target.checked && currentHDRI) {
-      scene.background = currentHDRI;
-    } else {
-      scene.background = new THREE.Color(0x000000);
+  // --- Reset Model Transform ---
+  document.getElementById('btn-reset-model').addEventListener('click', () => viewer.resetModelTransform());
+
+  // --- Measurement ---
+  document.querySelectorAll('.btn-measure').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      viewer.setMeasureMode(viewer.measureMode === btn.dataset.measure ? null : btn.dataset.measure);
+    });
+  });
+  document.getElementById('measure-units').addEventListener('change', (e) => viewer.setUnits(e.target.value));
+  document.getElementById('btn-clear-measurements').addEventListener('click', () => viewer.clearMeasurements());
+
+  // --- Annotations ---
+  const annotationsInput = document.getElementById('annotations-input');
+  document.getElementById('btn-annotate').addEventListener('click', () => viewer.setAnnotateMode(!viewer.annotateMode));
+  document.getElementById('btn-export-annotations').addEventListener('click', exportAnnotations);
+  document.getElementById('btn-import-annotations').addEventListener('click', () => annotationsInput.click());
+  annotationsInput.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      importAnnotations(e.target.files[0]);
+      e.target.value = '';
     }
   });
+  document.getElementById('btn-clear-annotations').addEventListener('click', () => viewer.clearAnnotations());
+
+  // --- Lights & Shadows ---
+  document.querySelectorAll('.btn-add-light').forEach((btn) => {
+    btn.addEventListener('click', () => viewer.editLight(viewer.addLight(btn.dataset.type)));
+  });
+  document.getElementById('toggle-light-helpers').addEventListener('change', (e) => viewer.setLightHelpers(e.target.checked));
+  document.getElementById('shadow-map-size').addEventListener('change', (e) => {
+    viewer.setShadows({ mapSize: parseInt(e.target.value, 10) });
+  });
+  document.getElementById('slider-shadow-bias').addEventListener('input', (e) => {
+    viewer.setShadows({ bias: parseFloat(e.target.value) });
+  });
+  document.getElementById('slider-shadow-softness').addEventListener('input', (e) => {
+    viewer.setShadows({ softness: parseFloat(e.target.value) });
+  });
+  document.getElementById('btn-reset-lights').addEventListener('click', () => viewer.resetLights());
 
-  // --- Auto-Rotate Toggle ---
-  document.getElementById('toggle-auto-rotate').addEventListener('change', (e) => {
-    autoRotate = e.target.checked;
+  // --- Post-Processing ---
+  document.getElementById('tone-mapping').addEventListener('change', (e) => {
+    viewer.setPostProcessing({ toneMapping: e.target.value });
   });
+  document.getElementById('antialias-mode').addEventListener('change', (e) => {
+    viewer.setPostProcessing({ antialias: e.target.value });
+  });
+  POST_EFFECTS.forEach((effect) => {
+    document.getElementById(`toggle-${effect}`).addEventListener('change', (e) => {
+      viewer.setPostProcessing({ [effect]: { enabled: e.target.checked } });
+      if (effect === 'dof' && !e.target.checked) viewer.setFocusPicking(false);
+    });
+  });
+  POST_SLIDERS.forEach(({ effect, key, id }) => {
+    document.getElementById(`slider-${id}`).addEventListener('input', (e) => {
+      viewer.setPostProcessing({ [effect]: { [key]: parseFloat(e.target.value) } });
+    });
+  });
+  document.getElementById('btn-dof-focus').addEventListener('click', () => viewer.setFocusPicking(!viewer.focusPicking));
+  document.getElementById('btn-dof-focus-reset').addEventListener('click', () => {
+    viewer.setPostProcessing({ dof: { focusPoint: null } });
+  });
+
+  // --- Section Planes ---
+  document.getElementById('toggle-section-caps').addEventListener('change', (e) => viewer.setSectionCaps(e.target.checked));
+  document.getElementById('btn-clear-section').addEventListener('click', () => viewer.clearSection());
 
-  // --- Hologram Toggle ---
-  document.getElementById('toggle-hologram').addEventListener('change', (e) => {
-    toggleHologram(e.target.checked);
+  // --- Inspection ---
+  document.getElementById('btn-export-report').addEventListener('click', exportInspectionReport);
+
+  // --- Export ---
+  document.getElementById('btn-export-glb').addEventListener('click', exportGLB);
+
+  // --- Screenshot ---
+  const screenshotResolution = document.getElementById('screenshot-resolution');
+  screenshotResolution.addEventListener('change', () => {
+    document.getElementById('screenshot-custom-size').hidden = screenshotResolution.value !== 'custom';
   });
 
-  // --- Wireframe Toggle ---
-  document.getElementById('toggle-wireframe').addEventListener('change', (e) => {
-    if (currentModel) {
-      currentModel.traverse((child) => {
-        if (child.isMesh && child.material) {
-          child.material.wireframe = e.target.checked;
-        }
-      });
+  const screenshotBackground = document.getElementById('screenshot-background');
+  screenshotBackground.addEventListener('change', () => {
+    document.getElementById('screenshot-bg-color').hidden = screenshotBackground.value !== 'solid';
+  });
+
+  document.getElementById('btn-screenshot').addEventListener('click', takeScreenshot);
+
+  // --- Turntable Recording ---
+  document.getElementById('btn-turntable').addEventListener('click', recordTurntable);
+
+  // --- Share / Scene Files ---
+  const sceneInput = document.getElementById('scene-input');
+  document.getElementById('btn-share-link').addEventListener('click', copyShareLink);
+  document.getElementById('btn-save-scene').addEventListener('click', saveSceneFile);
+  document.getElementById('btn-open-scene').addEventListener('click', () => sceneInput.click());
+  sceneInput.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      loadSceneFile(e.target.files[0]);
+      e.target.value = '';
     }
   });
 
+  // --- Display Toggles (grid, axes, HDRI background, auto-rotate) and view mode ---
+  // The view mode goes to the active model unless "all models" is on
+  DISPLAY_TOGGLES.forEach(({ key, input }) => {
+    document.getElementById(input).addEventListener('change', (e) => {
+      viewer.setDisplay({ [key]: e.target.checked });
+    });
+  });
+
+  const displayAll = document.getElementById('toggle-display-all');
+  document.getElementById('view-mode').addEventListener('change', (e) => {
+    viewer.setDisplay({ viewMode: e.target.value }, { allModels: displayAll.checked });
+  });
+
+  // --- Skeleton & Morph Targets ---
+  document.getElementById('toggle-skeleton').addEventListener('change', (e) => {
+    viewer.setSkeletonOptions({ skeleton: e.target.checked });
+  });
+  document.getElementById('toggle-bone-names').addEventListener('change', (e) => {
+    viewer.setSkeletonOptions({ boneNames: e.target.checked });
+  });
+
+  // --- Materials ---
+  document.getElementById('variant-select').addEventListener('change', (e) => {
+    viewer.setMaterialVariant(e.target.value === '' ? null : parseInt(e.target.value, 10));
+  });
+
+  // --- Animation Controls ---
+  document.getElementById('animation-clip-select').addEventListener('change', (e) => {
+    viewer.playAnimation(parseInt(e.target.value, 10));
+  });
+
+  document.getElementById('btn-anim-play').addEventListener('click', () => viewer.toggleAnimation());
+
+  document.getElementById('toggle-anim-loop').addEventListener('change', (e) => {
+    viewer.setAnimationLoop(e.target.checked);
+  });
+
+  const animSpeedSlider = document.getElementById('slider-anim-speed');
+  const animSpeedValue = document.getElementById('anim-speed-value');
+  animSpeedSlider.addEventListener('input', (e) => {
+    const val = parseFloat(e.target.value);
+    viewer.setAnimationSpeed(val);
+    animSpeedValue.textContent = `${val.toFixed(2)}×`;
+  });
+
+  const animTimeSlider = document.getElementById('slider-anim-time');
+  animTimeSlider.addEventListener('pointerdown', () => { animationScrubbing = true; });
+  animTimeSlider.addEventListener('pointerup', () => { animationScrubbing = false; });
+  animTimeSlider.addEventListener('change', () => { animationScrubbing = false; });
+  animTimeSlider.addEventListener('input', (e) => {
+    viewer.seekAnimation(parseFloat(e.target.value));
+    updateAnimationTimeline(viewer.getAnimationState());
+  });
+
   // --- Panel Collapse Toggle ---
   document.getElementById('panel-toggle').addEventListener('click', () => {
     const panel = document.getElementById('side-panel');
@@ -742,13 +2109,32 @@ function setupUIListeners() {
   const exposureValue = document.getElementById('exposure-value');
   exposureSlider.addEventListener('input', (e) => {
     const val = parseFloat(e.target.value);
-    renderer.toneMappingExposure = val;
+    viewer.setExposure(val);
     exposureValue.textContent = val.toFixed(2);
   });
 
   // --- Keyboard Shortcuts ---
   window.addEventListener('keydown', (e) => {
-    switch (e.key.toLowerCase()) {
+    // Don't hijack typing in panel inputs
+    if (e.target.closest('textarea, select, input:not([type="checkbox"]):not([type="range"])')) return;
+
+    // Numpad keys are matched by position so NumLock does not matter
+    if (NUMPAD_VIEWS[e.code]) {
+      e.preventDefault();
+      viewer.setStandardView(NUMPAD_VIEWS[e.code][e.ctrlKey || e.metaKey ? 1 : 0]);
+      return;
+    }
+    if (e.code === 'Numpad5') {
+      viewer.setProjection(viewer.projection === 'orthographic' ? 'perspective' : 'orthographic');
+      return;
+    }
+
+    // With a modifier, letters are browser shortcuts (Ctrl/Cmd+F, +R, +S…)
+    // except for undo and redo
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey || e.altKey) && /^[a-z]$/.test(key) && key !== 'z' && key !== 'y') return;
+
+    switch (key) {
       case 'g':
         setTransformMode('translate');
         break;
@@ -756,13 +2142,45 @@ function setupUIListeners() {
         setTransformMode('rotate');
         break;
       case 's':
-        if (!e.ctrlKey) setTransformMode('scale');
+        setTransformMode('scale');
+        break;
+      case 'z':
+        if (e.ctrlKey || e.metaKey) {
+          e.preventDefault();
+          if (e.shiftKey) viewer.redo();
+          else viewer.undo();
+        }
+        break;
+      case 'y':
+        if (e.ctrlKey || e.metaKey) {
+          e.preventDefault();
+          viewer.redo();
+        }
         break;
       case 'escape':
-        if (currentModel) transformControls.detach();
+        if (viewer.measureMode) viewer.setMeasureMode(null);
+        else if (viewer.annotateMode) viewer.setAnnotateMode(false);
+        else if (viewer.getSectionState().editing !== null) viewer.editSectionPlane(null);
+        else viewer.select(null);
+        break;
+      case 'm':
+        viewer.setMeasureMode(viewer.measureMode ? null : 'distance');
+        break;
+      case 'n':
+        viewer.setAnnotateMode(!viewer.annotateMode);
         break;
       case 'f':
-        if (currentModel) frameModel(currentModel);
+        if (e.shiftKey) viewer.frameAll();
+        else viewer.frame(viewer.selection || viewer.model);
+        break;
+      case 'p':
+        takeScreenshot();
+        break;
+      case ' ':
+        if (viewer.getAnimationState().index >= 0) {
+          e.preventDefault();
+          viewer.toggleAnimation();
+        }
         break;
     }
   });
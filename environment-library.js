@@ -0,0 +1,95 @@
+/* ============================================
+   3D Model Viewer — Local Environment Library
+   Environment files the user imports are cached in IndexedDB so
+   they can be picked again on later visits, offline included.
+   Entries ({ id, name, size, addedAt }) and file data live in
+   separate stores so listing never reads the files themselves.
+   ============================================ */
+
+const DB_NAME = 'gabo-viewer';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'environments';
+const DATA_STORE = 'environmentFiles';
+
+let databaseRequest = null;
+
+function openDatabase() {
+  if (!databaseRequest) {
+    databaseRequest = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(ENTRY_STORE, { keyPath: 'id', autoIncrement: true });
+        request.result.createObjectStore(DATA_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again (e.g. after the user allows storage)
+    databaseRequest.catch(() => { databaseRequest = null; });
+  }
+  return databaseRequest;
+}
+
+// Runs `fn(transaction, setResult)` and resolves with the result once the
+// transaction has committed
+function runTransaction(mode, fn) {
+  return openDatabase().then((db) => new Promise((resolve, reject) => {
+    const transaction = db.transaction([ENTRY_STORE, DATA_STORE], mode);
+    let result;
+    fn(transaction, (value) => { result = value; });
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+}
+
+// Resolves to the cached entries sorted by name
+function listLibraryEnvironments() {
+  return runTransaction('readonly', (transaction, setResult) => {
+    const request = transaction.objectStore(ENTRY_STORE).getAll();
+    request.onsuccess = () => setResult(request.result);
+  }).then((entries) => entries.sort((a, b) => a.name.localeCompare(b.name)));
+}
+
+// Caches `file` unless a file with the same name and size already is.
+// Resolves to its entry.
+function saveLibraryEnvironment(file) {
+  return listLibraryEnvironments().then((entries) => {
+    const existing = entries.find((entry) => entry.name === file.name && entry.size === file.size);
+    if (existing) return existing;
+
+    const entry = { name: file.name, size: file.size, addedAt: new Date().toISOString() };
+    return runTransaction('readwrite', (transaction, setResult) => {
+      const request = transaction.objectStore(ENTRY_STORE).add(entry);
+      request.onsuccess = () => {
+        const saved = { ...entry, id: request.result };
+        transaction.objectStore(DATA_STORE).put({ id: saved.id, file });
+        setResult(saved);
+      };
+    });
+  });
+}
+
+// Resolves to the cached File
+function loadLibraryEnvironment(id) {
+  return runTransaction('readonly', (transaction, setResult) => {
+    const request = transaction.objectStore(DATA_STORE).get(id);
+    request.onsuccess = () => setResult(request.result);
+  }).then((record) => {
+    if (!record) throw new Error(`Environment ${id} is not in the library`);
+    return record.file;
+  });
+}
+
+function removeLibraryEnvironment(id) {
+  return runTransaction('readwrite', (transaction) => {
+    transaction.objectStore(ENTRY_STORE).delete(id);
+    transaction.objectStore(DATA_STORE).delete(id);
+  });
+}
+
+export { listLibraryEnvironments, saveLibraryEnvironment, loadLibraryEnvironment, removeLibraryEnvironment };
@@ -0,0 +1,128 @@
+/* ============================================
+   3D Model Viewer — <gabo-viewer> Custom Element
+   Declarative wrapper around createViewer():
+
+     <script type="module" src="gabo-viewer.js"></script>
+     <gabo-viewer src="model.glb" environment="studio"
+                  exposure="1.2" auto-rotate grid axes></gabo-viewer>
+
+   The element re-dispatches every viewer event and exposes
+   the same methods (el.loadModel(...), el.screenshot(...), ...).
+   ============================================ */
+
+import { createViewer } from './viewer.js';
+
+const VIEWER_EVENTS = [
+  'loadstart', 'progress', 'load', 'error', 'modelchange',
+  'selectionchange', 'animationchange', 'displaychange', 'historychange',
+  'measurechange', 'sectionchange', 'camerachange', 'environmentchange', 'lightchange',
+  'postprocessingchange', 'annotationchange', 'transformchange',
+  'skeletonchange', 'materialchange'
+];
+
+const VIEWER_METHODS = [
+  'loadModel', 'removeModel', 'setEnvironment', 'setEnvironmentSettings', 'getEnvironmentState',
+  'setBackground', 'setBackdrop', 'setExposure',
+  'getLightState', 'addLight', 'setLight', 'removeLight', 'editLight',
+  'setShadows', 'setLightHelpers', 'resetLights',
+  'getPostProcessing', 'setPostProcessing', 'setFocusPicking', 'getDisplay', 'setDisplay',
+  'setTransformMode', 'getTransformState', 'setTransform', 'setTransformSettings',
+  'dropToGround', 'centerOnOrigin', 'frame', 'frameAll', 'resetCamera', 'resetModelTransform',
+  'setStandardView', 'setProjection', 'setFieldOfView', 'getCameraState',
+  'addCameraBookmark', 'removeCameraBookmark', 'goToCameraBookmark',
+  'undo', 'redo', 'getHistory', 'goToHistory',
+  'setMeasureMode', 'getMeasureState', 'removeMeasurement', 'clearMeasurements',
+  'setUnits', 'getDimensions',
+  'setAnnotateMode', 'getAnnotationState', 'addAnnotation', 'updateAnnotation', 'setAnnotationView',
+  'goToAnnotation', 'setActiveAnnotation', 'removeAnnotation', 'clearAnnotations',
+  'exportAnnotations', 'importAnnotations',
+  'getSectionState', 'setSectionPlane', 'editSectionPlane', 'setSectionCaps', 'clearSection',
+  'select', 'setObjectVisible', 'isolate', 'getMeshMaterials',
+  'getAnimationState', 'playAnimation', 'toggleAnimation', 'seekAnimation',
+  'setAnimationLoop', 'setAnimationSpeed',
+  'getSkeletonState', 'setSkeletonOptions', 'selectBone', 'setMorphInfluence',
+  'getMaterialState', 'setMaterialProperties', 'setMaterialVariant',
+  'exportGLB', 'screenshot', 'recordTurntable',
+  'getViewState', 'applyViewState', 'getInfo', 'getInspectionReport'
+];
+
+// Boolean attributes map onto setDisplay() keys
+const DISPLAY_ATTRIBUTES = {
+  'auto-rotate': 'autoRotate',
+  grid: 'grid',
+  axes: 'axes'
+};
+
+class GaboViewer extends HTMLElement {
+  static get observedAttributes() {
+    return ['src', 'environment', 'exposure', ...Object.keys(DISPLAY_ATTRIBUTES)];
+  }
+
+  constructor() {
+    super();
+    this.viewer = null;
+
+    const shadow = this.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        :host { display: block; position: relative; width: 100%; height: 300px; }
+        .container { position: absolute; inset: 0; }
+      </style>
+      <div class="container"></div>
+    `;
+    this.container = shadow.querySelector('.container');
+  }
+
+  connectedCallback() {
+    if (this.viewer) return;
+
+    this.viewer = createViewer(this.container, {
+      model: this.getAttribute('src'),
+      environment: this.getAttribute('environment'),
+      exposure: this.hasAttribute('exposure') ? parseFloat(this.getAttribute('exposure')) || 1 : 1,
+      autoRotate: this.hasAttribute('auto-rotate'),
+      grid: this.hasAttribute('grid'),
+      axes: this.hasAttribute('axes')
+    });
+
+    VIEWER_EVENTS.forEach((type) => {
+      this.viewer.addEventListener(type, (e) => {
+        this.dispatchEvent(new CustomEvent(type, { detail: e.detail }));
+      });
+    });
+  }
+
+  disconnectedCallback() {
+    if (!this.viewer) return;
+    this.viewer.dispose();
+    this.viewer = null;
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.viewer || oldValue === value) return;
+
+    if (name === 'src') {
+      if (value) this.viewer.loadModel(value);
+    } else if (name === 'environment') {
+      if (value) this.viewer.setEnvironment(value);
+    } else if (name === 'exposure') {
+      this.viewer.setExposure(parseFloat(value) || 1);
+    } else {
+      this.viewer.setDisplay({ [DISPLAY_ATTRIBUTES[name]]: value !== null });
+    }
+  }
+}
+
+// Proxy the viewer API onto the element
+VIEWER_METHODS.forEach((method) => {
+  GaboViewer.prototype[method] = function (...args) {
+    if (!this.viewer) throw new Error('<gabo-viewer> is not connected to the document');
+    return this.viewer[method](...args);
+  };
+});
+
+if (!customElements.get('gabo-viewer')) {
+  customElements.define('gabo-viewer', GaboViewer);
+}
+
+export { GaboViewer, createViewer };
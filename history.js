@@ -0,0 +1,90 @@
+/* ============================================
+   3D Model Viewer — Command History (undo / redo)
+   Linear stack of { label, undo(), redo() } commands with a
+   bounded size. Commands may hold heavy resources (whole models);
+   `discard(reason)` lets them free whatever becomes unreachable.
+   ============================================ */
+
+const DEFAULT_HISTORY_OPTIONS = {
+  limit: 64,       // max commands kept
+  heavyLimit: 3,   // max commands flagged `heavy` (e.g. model loads) kept
+  onChange: () => {}
+};
+
+// A command is { label, undo(), redo(), heavy?, discard?(reason) } where
+// reason is 'expired' (dropped from the bottom, its undo state is gone) or
+// 'abandoned' (dropped from the redo branch, its redo state is gone).
+function createHistory(userOptions = {}) {
+  const options = { ...DEFAULT_HISTORY_OPTIONS, ...userOptions };
+  const commands = [];
+  let index = 0; // commands[0 .. index-1] are applied
+  let applying = false;
+
+  function discard(command, reason) {
+    if (command.discard) command.discard(reason);
+  }
+
+  // Records a command that has already been applied
+  function push(command) {
+    if (applying) return;
+
+    commands.splice(index).forEach((abandoned) => discard(abandoned, 'abandoned'));
+    commands.push(command);
+    index = commands.length;
+
+    const heavyCount = () => commands.filter((c) => c.heavy).length;
+    while (commands.length > options.limit || heavyCount() > options.heavyLimit) {
+      discard(commands.shift(), 'expired');
+      index--;
+    }
+    options.onChange();
+  }
+
+  // Runs `fn` while ignoring pushes, so undo/redo do not record themselves
+  function withoutRecording(fn) {
+    const wasApplying = applying;
+    applying = true;
+    try {
+      return fn();
+    } finally {
+      applying = wasApplying;
+    }
+  }
+
+  function undo() {
+    if (index === 0) return false;
+    index--;
+    withoutRecording(() => commands[index].undo());
+    options.onChange();
+    return true;
+  }
+
+  function redo() {
+    if (index === commands.length) return false;
+    withoutRecording(() => commands[index].redo());
+    index++;
+    options.onChange();
+    return true;
+  }
+
+  function clear() {
+    commands.splice(index).forEach((command) => discard(command, 'abandoned'));
+    commands.splice(0).forEach((command) => discard(command, 'expired'));
+    index = 0;
+    options.onChange();
+  }
+
+  return {
+    push,
+    undo,
+    redo,
+    clear,
+    withoutRecording,
+    get entries() { return commands.map((command) => command.label); },
+    get index() { return index; },
+    get canUndo() { return index > 0; },
+    get canRedo() { return index < commands.length; }
+  };
+}
+
+export { createHistory };
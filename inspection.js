@@ -0,0 +1,298 @@
+/* ============================================
+   3D Model Viewer — Model Inspection Report
+   Walks a loaded model and collects meshes, draw calls, geometry,
+   materials, textures (with estimated GPU memory), skinning/morph
+   data and asset warnings into a JSON-serializable report, and
+   describes single textures (with a thumbnail) for material panels.
+   ============================================ */
+
+import * as THREE from 'three';
+
+const INSPECTION_REPORT_VERSION = 1;
+
+// Textures above this size on either side are flagged as oversized
+const TEXTURE_SIZE_WARNING = 4096;
+
+// Longest side of the thumbnails of describeTexture(), in pixels
+const TEXTURE_PREVIEW_SIZE = 64;
+
+// Uncompressed formats → channel count / label
+const TEXTURE_FORMATS = {
+  [THREE.RGBAFormat]: { label: 'RGBA', channels: 4 },
+  [THREE.RGFormat]: { label: 'RG', channels: 2 },
+  [THREE.RedFormat]: { label: 'R', channels: 1 },
+  [THREE.AlphaFormat]: { label: 'A', channels: 1 },
+  [THREE.LuminanceFormat]: { label: 'L', channels: 1 },
+  [THREE.LuminanceAlphaFormat]: { label: 'LA', channels: 2 }
+};
+
+// Component type → bytes per channel / label
+const TEXTURE_TYPES = {
+  [THREE.UnsignedByteType]: { label: '8 bit', bytes: 1 },
+  [THREE.ByteType]: { label: '8 bit', bytes: 1 },
+  [THREE.UnsignedShortType]: { label: '16 bit', bytes: 2 },
+  [THREE.ShortType]: { label: '16 bit', bytes: 2 },
+  [THREE.HalfFloatType]: { label: 'half float', bytes: 2 },
+  [THREE.UnsignedIntType]: { label: '32 bit', bytes: 4 },
+  [THREE.IntType]: { label: '32 bit', bytes: 4 },
+  [THREE.FloatType]: { label: 'float', bytes: 4 }
+};
+
+// ─────────────────────────────────────────────
+// Report
+// ─────────────────────────────────────────────
+// options:
+//   name, format    — shown in the report header
+//   extensions      — glTF extensionsUsed of the source file
+//   getMaterial     — maps a mesh to the material to inspect (the viewer
+//                     passes the originals while a display mode swaps them)
+function inspectModel(root, options = {}) {
+  const { name = root.name, format = null, extensions = [] } = options;
+  const getMaterial = options.getMaterial || ((mesh) => mesh.material);
+
+  const meshes = [];
+  const geometries = new Set();
+  const materials = new Map(); // material → entry
+  const textures = new Map();  // texture → entry
+  const skeletons = new Set();
+  const warnings = [];
+  const warn = (code, target, message) => warnings.push({ code, target, message });
+
+  root.traverse((node) => {
+    if (!node.isMesh && !node.isPoints && !node.isLine) return;
+    const geometry = node.geometry;
+    const nodeMaterials = [].concat(getMaterial(node) || []);
+    const nodeName = node.name || node.type;
+
+    const vertices = geometry.attributes.position ? geometry.attributes.position.count : 0;
+    const indexed = !!geometry.index;
+    const triangles = node.isMesh ? (indexed ? geometry.index.count : vertices) / 3 : 0;
+    const morphTargets = geometry.morphAttributes.position ? geometry.morphAttributes.position.length : 0;
+
+    // Multi-material meshes issue one draw call per group
+    const drawCalls = Array.isArray(node.material) && geometry.groups.length > 0
+      ? geometry.groups.filter((group) => nodeMaterials[group.materialIndex]).length
+      : 1;
+
+    meshes.push({
+      name: nodeName,
+      type: node.type,
+      vertices,
+      triangles: Math.round(triangles),
+      indexed,
+      drawCalls,
+      materials: nodeMaterials.map((material) => material.name || material.type),
+      skinned: !!node.isSkinnedMesh,
+      bones: node.isSkinnedMesh ? node.skeleton.bones.length : 0,
+      morphTargets,
+      morphTargetNames: node.morphTargetDictionary ? Object.keys(node.morphTargetDictionary) : []
+    });
+
+    if (!geometries.has(geometry)) {
+      geometries.add(geometry);
+      if (node.isMesh && !geometry.attributes.normal) {
+        warn('missing-normals', nodeName, `"${nodeName}" no tiene normales: el sombreado se calculará mal.`);
+      }
+      if (node.isMesh && !indexed) {
+        warn('unindexed-geometry', nodeName, `"${nodeName}" no está indexada: repite vértices y ocupa más memoria.`);
+      }
+    }
+    if (node.isSkinnedMesh) skeletons.add(node.skeleton);
+
+    nodeMaterials.forEach((material) => {
+      if (!materials.has(material)) materials.set(material, createMaterialEntry(material, textures));
+      materials.get(material).meshes++;
+    });
+  });
+
+  const textureEntries = [...textures.values()];
+  textureEntries.forEach((texture) => {
+    const { width, height } = texture;
+    if (!width || !height) return;
+    if (!THREE.MathUtils.isPowerOfTwo(width) || !THREE.MathUtils.isPowerOfTwo(height)) {
+      warn('npot-texture', texture.name, `La textura "${texture.name}" (${width}×${height}) no es potencia de dos.`);
+    }
+    if (Math.max(width, height) > TEXTURE_SIZE_WARNING) {
+      warn('oversized-texture', texture.name,
+        `La textura "${texture.name}" (${width}×${height}) supera ${TEXTURE_SIZE_WARNING} px.`);
+    }
+  });
+
+  const geometryBytes = [...geometries].reduce((sum, geometry) => sum + getGeometryBytes(geometry), 0);
+  const textureBytes = textureEntries.reduce((sum, texture) => sum + texture.bytes, 0);
+  const sum = (key) => meshes.reduce((total, mesh) => total + mesh[key], 0);
+
+  return {
+    version: INSPECTION_REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    model: name,
+    format,
+    extensions: [...extensions],
+    summary: {
+      meshes: meshes.length,
+      drawCalls: sum('drawCalls'),
+      vertices: sum('vertices'),
+      triangles: sum('triangles'),
+      geometries: geometries.size,
+      materials: materials.size,
+      textures: textureEntries.length,
+      skinnedMeshes: meshes.filter((mesh) => mesh.skinned).length,
+      skeletons: skeletons.size,
+      bones: [...skeletons].reduce((total, skeleton) => total + skeleton.bones.length, 0),
+      morphTargets: sum('morphTargets'),
+      geometryBytes,
+      textureBytes,
+      estimatedGPUBytes: geometryBytes + textureBytes
+    },
+    meshes,
+    materials: [...materials.values()],
+    textures: textureEntries,
+    warnings
+  };
+}
+
+// ─────────────────────────────────────────────
+// Materials & Textures
+// ─────────────────────────────────────────────
+function createMaterialEntry(material, textures) {
+  const slots = [];
+  Object.keys(material).forEach((slot) => {
+    const texture = material[slot];
+    if (!texture || !texture.isTexture) return;
+    slots.push(slot);
+
+    if (!textures.has(texture)) textures.set(texture, createTextureEntry(texture, textures.size));
+    textures.get(texture).usedBy.push(`${material.name || material.type}.${slot}`);
+  });
+
+  return {
+    name: material.name || '',
+    type: material.type,
+    textures: slots,
+    transparent: material.transparent,
+    doubleSided: material.side === THREE.DoubleSide,
+    meshes: 0
+  };
+}
+
+function createTextureEntry(texture, index) {
+  const { width, height } = getTextureSize(texture);
+  const mipmapped = texture.isCompressedTexture
+    ? texture.mipmaps.length > 1
+    : texture.generateMipmaps && texture.minFilter !== THREE.NearestFilter && texture.minFilter !== THREE.LinearFilter;
+
+  return {
+    name: texture.name || getImageName(texture) || `Textura ${index + 1}`,
+    width,
+    height,
+    format: getTextureFormatLabel(texture),
+    colorSpace: texture.colorSpace,
+    compressed: !!texture.isCompressedTexture,
+    mipmaps: mipmapped,
+    bytes: estimateTextureBytes(texture, width, height, mipmapped),
+    usedBy: []
+  };
+}
+
+function getTextureSize(texture) {
+  const source = texture.isCompressedTexture && texture.mipmaps.length > 0 ? texture.mipmaps[0] : texture.image;
+  if (!source) return { width: 0, height: 0 };
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width || 0,
+    height: source.videoHeight || source.naturalHeight || source.height || 0
+  };
+}
+
+function getImageName(texture) {
+  const src = texture.image && texture.image.src;
+  if (!src || src.startsWith('blob:') || src.startsWith('data:')) return '';
+  return decodeURIComponent(src.split(/[?#]/)[0].split('/').pop());
+}
+
+function getTextureFormatLabel(texture) {
+  if (texture.isCompressedTexture) {
+    const constant = Object.keys(THREE).find((key) => key.endsWith('_Format') && THREE[key] === texture.format);
+    return constant ? constant.replace(/_Format$/, '') : `compressed (${texture.format})`;
+  }
+  const format = TEXTURE_FORMATS[texture.format];
+  const type = TEXTURE_TYPES[texture.type];
+  return `${format ? format.label : texture.format} ${type ? type.label : texture.type}`;
+}
+
+// Compressed textures report their real payload; everything else is
+// width × height × bytes per pixel, plus a third for the mip chain
+function estimateTextureBytes(texture, width, height, mipmapped) {
+  if (texture.isCompressedTexture) {
+    return texture.mipmaps.reduce((sum, mipmap) => sum + (mipmap.data ? mipmap.data.byteLength : 0), 0);
+  }
+  const format = TEXTURE_FORMATS[texture.format] || TEXTURE_FORMATS[THREE.RGBAFormat];
+  const type = TEXTURE_TYPES[texture.type] || TEXTURE_TYPES[THREE.UnsignedByteType];
+  const base = width * height * format.channels * type.bytes;
+  return Math.round(mipmapped ? base * 4 / 3 : base);
+}
+
+// Summary of one texture for material panels. `preview` is a PNG data URL
+// thumbnail, or null when the image cannot be drawn (compressed and data
+// textures); thumbnails are cached until the texture is updated.
+const texturePreviews = new WeakMap(); // texture → { version, url }
+
+function describeTexture(texture, index = 0) {
+  const { width, height } = getTextureSize(texture);
+  return {
+    name: texture.name || getImageName(texture) || `Textura ${index + 1}`,
+    width,
+    height,
+    format: getTextureFormatLabel(texture),
+    preview: getTexturePreview(texture, width, height)
+  };
+}
+
+function getTexturePreview(texture, width, height) {
+  const cached = texturePreviews.get(texture);
+  if (cached && cached.version === texture.version) return cached.url;
+
+  let url = null;
+  if (!texture.isCompressedTexture && !texture.isDataTexture && width > 0 && height > 0) {
+    const scale = Math.min(1, TEXTURE_PREVIEW_SIZE / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    try {
+      canvas.getContext('2d').drawImage(texture.image, 0, 0, canvas.width, canvas.height);
+      url = canvas.toDataURL('image/png');
+    } catch (error) {
+      // Images that are not drawable (or taint the canvas) get no thumbnail
+      console.warn('Texture preview unavailable:', error);
+    }
+  }
+  texturePreviews.set(texture, { version: texture.version, url });
+  return url;
+}
+
+// ─────────────────────────────────────────────
+// Geometry
+// ─────────────────────────────────────────────
+function getGeometryBytes(geometry) {
+  let bytes = geometry.index ? geometry.index.array.byteLength : 0;
+  Object.values(geometry.attributes).forEach((attribute) => { bytes += getAttributeBytes(attribute); });
+  Object.values(geometry.morphAttributes).forEach((list) => {
+    list.forEach((attribute) => { bytes += getAttributeBytes(attribute); });
+  });
+  return bytes;
+}
+
+function getAttributeBytes(attribute) {
+  // Interleaved attributes are counted by their share of the common buffer
+  if (attribute.isInterleavedBufferAttribute) {
+    return attribute.count * attribute.itemSize * attribute.data.array.BYTES_PER_ELEMENT;
+  }
+  return attribute.array.byteLength;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export { inspectModel, describeTexture, formatBytes, INSPECTION_REPORT_VERSION };
@@ -0,0 +1,427 @@
+/* ============================================
+   3D Model Viewer — Model Loaders
+   Format dispatch (glTF with Draco/KTX2/Meshopt, FBX, OBJ/MTL,
+   STL, PLY, USDZ), local file sets and dropped-folder reading
+   ============================================ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { USDZLoader } from 'three/addons/loaders/USDZLoader.js';
+import { TGALoader } from 'three/addons/loaders/TGALoader.js';
+import { MeshoptDecoder } from './libs/meshopt_decoder.module.js';
+
+// Decoder files served by the project itself (see libs/README.md),
+// resolved against this module so embedding pages find them too
+const DECODER_PATHS = {
+  draco: new URL('./libs/draco/', import.meta.url).href,
+  basis: new URL('./libs/basis/', import.meta.url).href
+};
+
+// ─────────────────────────────────────────────
+// Format Dispatch
+// ─────────────────────────────────────────────
+function getFileExtension(path) {
+  const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(path);
+  return match ? match[1].toLowerCase() : '';
+}
+
+// Loads `url` with the loader matching the extension of `name` (or the URL).
+// `renderer` tells the KTX2 transcoder which GPU formats it can target.
+// Resolves to { object, animations, warnings, extensions, variants, format };
+// `variants` is null unless the file declares KHR_materials_variants.
+function loadModelFormat(url, name, manager, onProgress, renderer = null) {
+  const format = MODEL_FORMATS[getFileExtension(name)] || MODEL_FORMATS[getFileExtension(url)];
+  if (!format) return Promise.reject(new Error(`Unsupported model format: ${name}`));
+
+  manager.addHandler(/\.tga$/i, new TGALoader(manager));
+  return format.load(url, manager, onProgress, renderer).then((result) => ({ extensions: [], variants: null, ...result, format }));
+}
+
+// Promise wrapper for the callback-style three.js loaders
+function loadWithLoader(loader, url, onProgress) {
+  return new Promise((resolve, reject) => {
+    loader.load(url, resolve, onProgress, reject);
+  });
+}
+
+// ─────────────────────────────────────────────
+// Model Formats
+// ─────────────────────────────────────────────
+// Every format loader resolves to { object, animations, warnings } (glTF
+// also lists its `extensions` and `variants`) so the viewer treats them all
+// the same way. Key order is also the priority used to pick the root file
+// when a set of files is dropped.
+const MODEL_FORMATS = {
+  glb:  { label: 'glTF Binary', load: loadGLTFFormat },
+  gltf: { label: 'glTF', load: loadGLTFFormat },
+  fbx:  { label: 'FBX', load: loadFBXFormat },
+  obj:  { label: 'OBJ', load: loadOBJFormat },
+  usdz: { label: 'USDZ', load: loadUSDZFormat },
+  stl:  { label: 'STL', load: loadSTLFormat },
+  ply:  { label: 'PLY', load: loadPLYFormat }
+};
+
+function unitlessFormatWarning(label) {
+  return `${label} no define unidades: se interpreta 1 unidad = 1 metro (los exportadores CAD suelen usar milímetros).`;
+}
+
+// The transcoder runs in workers, so a single KTX2 loader serves every load.
+// It keeps its own manager: concurrent loads (an added model, a second
+// viewer on the page) each resolve their URLs through createKTX2TextureLoader().
+let ktx2Loader = null;
+
+function getKTX2Loader(renderer) {
+  if (!ktx2Loader) {
+    ktx2Loader = new KTX2Loader().setTranscoderPath(DECODER_PATHS.basis);
+    ktx2Loader.detectSupport(renderer);
+  }
+  return ktx2Loader;
+}
+
+// The part of the KTX2 loader GLTFLoader uses, bound to one load's manager:
+// URLs go through its modifier (dropped .gltf files reference their .ktx2
+// textures by relative path) before they reach the shared loader
+function createKTX2TextureLoader(renderer, manager) {
+  const sharedLoader = getKTX2Loader(renderer);
+  return {
+    load(url, onLoad, onProgress, onError) {
+      const resolved = manager.resolveURL(url);
+      manager.itemStart(resolved);
+      sharedLoader.load(resolved, (texture) => {
+        if (onLoad) onLoad(texture);
+        manager.itemEnd(resolved);
+      }, onProgress, (error) => {
+        if (onError) onError(error);
+        manager.itemError(resolved);
+        manager.itemEnd(resolved);
+      });
+    }
+  };
+}
+
+function createGLTFLoader(manager, renderer) {
+  const loader = new GLTFLoader(manager);
+  const dracoLoader = new DRACOLoader(manager);
+  dracoLoader.setDecoderPath(DECODER_PATHS.draco);
+  loader.setDRACOLoader(dracoLoader);
+  loader.setMeshoptDecoder(MeshoptDecoder);
+
+  // Without a renderer the supported GPU formats are unknown; such files
+  // then fail with the loader's own "setKTX2Loader must be called" error
+  if (renderer) loader.setKTX2Loader(createKTX2TextureLoader(renderer, manager));
+  return loader;
+}
+
+function loadGLTFFormat(url, manager, onProgress, renderer) {
+  return loadWithLoader(createGLTFLoader(manager, renderer), url, onProgress).then((gltf) => ({
+    object: gltf.scene,
+    animations: gltf.animations,
+    warnings: [],
+    extensions: gltf.parser.json.extensionsUsed || [],
+    variants: getMaterialVariants(gltf)
+  }));
+}
+
+// KHR_materials_variants. three.js only copies the extension data into
+// userData (the variant names on the glTF, the mappings on each primitive's
+// mesh), so the parser is kept to load the materials of a variant on demand.
+function getMaterialVariants(gltf) {
+  const extension = gltf.userData.gltfExtensions && gltf.userData.gltfExtensions.KHR_materials_variants;
+  if (!extension || !Array.isArray(extension.variants) || extension.variants.length === 0) return null;
+  const { parser } = gltf;
+
+  return {
+    names: extension.variants.map((variant, index) => variant.name || `Variante ${index + 1}`),
+
+    // Resolves to the material `mesh` uses in variant `index`, or null when
+    // the variant does not map it
+    getMaterial(mesh, index) {
+      const data = mesh.userData.gltfExtensions && mesh.userData.gltfExtensions.KHR_materials_variants;
+      const mapping = data && data.mappings.find((candidate) => candidate.variants.includes(index));
+      if (!mapping) return Promise.resolve(null);
+
+      return parser.getDependency('material', mapping.material).then((material) => {
+        // assignFinalMaterial() adapts the material to the mesh's geometry
+        // (vertex colors, flat shading, tangents) by replacing mesh.material
+        const current = mesh.material;
+        mesh.material = material;
+        parser.assignFinalMaterial(mesh);
+        const final = mesh.material;
+        mesh.material = current;
+        return final;
+      });
+    }
+  };
+}
+
+function loadFBXFormat(url, manager, onProgress) {
+  return loadWithLoader(new FBXLoader(manager), url, onProgress).then((object) => {
+    const warnings = [];
+
+    // FBX stores a UnitScaleFactor in centimeters per unit; normalize to meters
+    const unitScale = object.userData.unitScaleFactor;
+    if (unitScale === undefined) {
+      warnings.push('El FBX no declara UnitScaleFactor: se asumen centímetros.');
+      object.scale.multiplyScalar(0.01);
+    } else if (unitScale !== 100) {
+      warnings.push(`Unidades FBX: 1 unidad = ${unitScale} cm, convertido a metros.`);
+      object.scale.multiplyScalar(unitScale / 100);
+    }
+
+    return { object, animations: object.animations, warnings };
+  });
+}
+
+function loadOBJFormat(url, manager, onProgress) {
+  return loadWithLoader(new THREE.FileLoader(manager), url, onProgress).then((text) => {
+    const warnings = [unitlessFormatWarning('OBJ')];
+    const objLoader = new OBJLoader(manager);
+    const mtlNames = Array.from(text.matchAll(/^mtllib\s+(.+?)\s*$/gm), (match) => match[1]);
+
+    const finish = () => ({ object: objLoader.parse(text), animations: [], warnings });
+
+    if (mtlNames.length === 0) {
+      warnings.push('El OBJ no referencia ningún archivo MTL: se usa el material por defecto.');
+      return finish();
+    }
+    if (mtlNames.length > 1) {
+      warnings.push(`El OBJ referencia ${mtlNames.length} archivos MTL; sólo se usa "${mtlNames[0]}".`);
+    }
+
+    const mtlURL = THREE.LoaderUtils.extractUrlBase(url) + mtlNames[0];
+    return loadWithLoader(new MTLLoader(manager), mtlURL)
+      .then((materials) => {
+        materials.preload();
+        objLoader.setMaterials(materials);
+        return finish();
+      })
+      .catch((error) => {
+        console.warn(`Could not load MTL "${mtlNames[0]}":`, error);
+        warnings.push(`Falta el archivo MTL "${mtlNames[0]}": se usa el material por defecto.`);
+        return finish();
+      });
+  });
+}
+
+function loadSTLFormat(url, manager, onProgress) {
+  return loadWithLoader(new STLLoader(manager), url, onProgress).then((geometry) => {
+    const material = new THREE.MeshStandardMaterial({ color: 0xb0b0b0, metalness: 0.1, roughness: 0.6 });
+    if (geometry.hasColors) {
+      material.vertexColors = true;
+      material.opacity = geometry.alpha;
+      material.transparent = geometry.alpha < 1;
+    }
+
+    const group = new THREE.Group();
+    group.add(new THREE.Mesh(geometry, material));
+    return { object: group, animations: [], warnings: [unitlessFormatWarning('STL')] };
+  });
+}
+
+function loadPLYFormat(url, manager, onProgress) {
+  return loadWithLoader(new PLYLoader(manager), url, onProgress).then((geometry) => {
+    const warnings = [unitlessFormatWarning('PLY')];
+    const hasColors = geometry.hasAttribute('color');
+    const group = new THREE.Group();
+
+    // PLYLoader only builds an index when the file has faces
+    if (geometry.index === null) {
+      warnings.push('El PLY no contiene caras: se muestra como nube de puntos.');
+      group.add(new THREE.Points(geometry, new THREE.PointsMaterial({
+        size: 2,
+        sizeAttenuation: false,
+        color: hasColors ? 0xffffff : 0xb0b0b0,
+        vertexColors: hasColors
+      })));
+    } else {
+      if (!geometry.hasAttribute('normal')) geometry.computeVertexNormals();
+      group.add(new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+        color: hasColors ? 0xffffff : 0xb0b0b0,
+        vertexColors: hasColors,
+        metalness: 0.1,
+        roughness: 0.6
+      })));
+    }
+
+    return { object: group, animations: [], warnings };
+  });
+}
+
+function loadUSDZFormat(url, manager, onProgress) {
+  return loadWithLoader(new USDZLoader(manager), url, onProgress).then((object) => ({
+    object,
+    animations: [],
+    warnings: ['Soporte USDZ limitado: sólo geometría y materiales básicos (sin animación ni skinning).']
+  }));
+}
+
+// ─────────────────────────────────────────────
+// Local File Sets (model + sidecar buffers, materials and textures)
+// ─────────────────────────────────────────────
+// Local files are addressed through a fake URL scheme so the loaders resolve
+// relative URIs against it as usual; the LoadingManager URL modifier then
+// swaps each one for an object URL of the matching dropped file.
+const LOCAL_URL_PREFIX = 'local-file:/';
+
+function normalizeResourcePath(path) {
+  let decoded = path;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch (e) {
+    // Not URI-encoded (e.g. a literal '%' in a file name) — use as is
+  }
+
+  const parts = [];
+  for (const part of decoded.replace(/\\/g, '/').split('/')) {
+    if (part === '' || part === '.') continue;
+    if (part === '..') parts.pop();
+    else parts.push(part);
+  }
+  return parts.join('/');
+}
+
+function findLocalFile(fileMap, path) {
+  if (fileMap.has(path)) return fileMap.get(path);
+
+  // Exporters are not always consistent about case or folder layout, so fall
+  // back to a case-insensitive match and then to a unique file-name match.
+  const lower = path.toLowerCase();
+  for (const [key, file] of fileMap) {
+    if (key.toLowerCase() === lower) return file;
+  }
+
+  const baseName = lower.split('/').pop();
+  const byName = [...fileMap].filter(([key]) => key.toLowerCase().split('/').pop() === baseName);
+  return byName.length === 1 ? byName[0][1] : null;
+}
+
+function createLocalFileSet(entries) {
+  const fileMap = new Map();
+  entries.forEach(({ file, path }) => fileMap.set(normalizeResourcePath(path), file));
+
+  const manager = new THREE.LoadingManager();
+  const objectURLs = [];
+  const missing = new Set();
+
+  manager.setURLModifier((url) => {
+    if (!url.startsWith(LOCAL_URL_PREFIX)) return url;
+
+    const path = normalizeResourcePath(url.slice(LOCAL_URL_PREFIX.length));
+    const file = findLocalFile(fileMap, path);
+    if (!file) {
+      missing.add(path);
+      return url;
+    }
+
+    const objectURL = URL.createObjectURL(file);
+    objectURLs.push(objectURL);
+    return objectURL;
+  });
+
+  return {
+    fileMap,
+    manager,
+    missing,
+    dispose() {
+      objectURLs.forEach((objectURL) => URL.revokeObjectURL(objectURL));
+      objectURLs.length = 0;
+    }
+  };
+}
+
+// Turns a dropped/selected file set into the root model URL to load, or null
+// when it contains no supported model. The root is picked among files of the
+// highest-priority format present.
+function resolveModelEntries(entries) {
+  const fileSet = createLocalFileSet(entries);
+  const paths = [...fileSet.fileMap.keys()].sort();
+
+  const rootFormat = Object.keys(MODEL_FORMATS).find((ext) =>
+    paths.some((path) => getFileExtension(path) === ext)
+  );
+  if (!rootFormat) return null;
+  const roots = paths.filter((path) => getFileExtension(path) === rootFormat);
+
+  if (roots.length > 1) {
+    console.warn(`Several model files were provided, loading "${roots[0]}":`, roots);
+  }
+
+  const rootPath = roots[0];
+  return {
+    url: LOCAL_URL_PREFIX + rootPath.split('/').map(encodeURIComponent).join('/'),
+    name: rootPath.split('/').pop(),
+    fileSet
+  };
+}
+
+function hasModelFile(entries) {
+  return entries.some(({ path }) => getFileExtension(path) in MODEL_FORMATS);
+}
+
+// ─────────────────────────────────────────────
+// Dropped Files & Folders
+// ─────────────────────────────────────────────
+// Returns [{ file, path }] for every dropped file, walking into folders.
+function collectDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Promise.resolve(Array.from(dataTransfer.files).map((file) => ({ file, path: file.name })));
+  }
+
+  const results = [];
+  return Promise.all(entries.map((entry) => readFileEntry(entry, results))).then(() => results);
+}
+
+function readFileEntry(entry, results) {
+  if (entry.isFile) {
+    return new Promise((resolve, reject) => {
+      entry.file((file) => {
+        results.push({ file, path: entry.fullPath.replace(/^\//, '') });
+        resolve();
+      }, reject);
+    });
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    // readEntries returns results in batches until it yields an empty array
+    const readBatch = () => new Promise((resolve, reject) => {
+      reader.readEntries((batch) => {
+        if (batch.length === 0) return resolve();
+        Promise.all(batch.map((child) => readFileEntry(child, results)))
+          .then(readBatch)
+          .then(resolve, reject);
+      }, reject);
+    });
+    return readBatch();
+  }
+
+  return Promise.resolve();
+}
+
+function fileListToEntries(files) {
+  return Array.from(files).map((file) => ({ file, path: file.webkitRelativePath || file.name }));
+}
+
+export {
+  MODEL_FORMATS,
+  getFileExtension,
+  createGLTFLoader,
+  createLocalFileSet,
+  resolveModelEntries,
+  hasModelFile,
+  loadModelFormat,
+  collectDroppedFiles,
+  fileListToEntries
+};
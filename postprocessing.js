@@ -0,0 +1,305 @@
+/* ============================================
+   3D Model Viewer — Post-Processing
+   Optional effect stack behind the viewer's render call:
+   SSAO → bloom → depth of field → tone mapping (OutputPass)
+   → vignette → FXAA / SMAA. With every effect off and hardware
+   MSAA the scene is rendered straight to the canvas, which
+   tone-maps it itself.
+   ============================================ */
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+
+const TONE_MAPPINGS = {
+  aces:     { label: 'ACES Filmic', value: THREE.ACESFilmicToneMapping },
+  agx:      { label: 'AgX', value: THREE.AgXToneMapping },
+  neutral:  { label: 'Neutral', value: THREE.NeutralToneMapping },
+  reinhard: { label: 'Reinhard', value: THREE.ReinhardToneMapping },
+  linear:   { label: 'Linear', value: THREE.LinearToneMapping }
+};
+
+// MSAA multisamples the scene render; FXAA and SMAA filter the final image
+const ANTIALIAS_MODES = { msaa: 'MSAA', fxaa: 'FXAA', smaa: 'SMAA' };
+const MSAA_SAMPLES = 4;
+
+// Effect → label and [min, max] of each numeric parameter.
+// ssao.radius is a fraction of the models' bounding radius; dof.aperture
+// is the blur per focus distance of defocus, so both fit any model size.
+const EFFECTS = {
+  ssao:     { label: 'SSAO', parameters: { radius: [0.005, 0.5] } },
+  bloom:    { label: 'Bloom', parameters: { strength: [0, 3], radius: [0, 1], threshold: [0, 2] } },
+  dof:      { label: 'DoF', parameters: { aperture: [0, 1], maxBlur: [0, 0.05] } },
+  vignette: { label: 'Viñeta', parameters: { offset: [0, 2], darkness: [0, 2] } }
+};
+
+// dof.focusPoint is a world position, or null to focus on the orbit target
+const DEFAULT_POST_PROCESSING = {
+  toneMapping: 'aces',
+  antialias: 'msaa',
+  ssao: { enabled: false, radius: 0.05 },
+  bloom: { enabled: false, strength: 0.6, radius: 0.4, threshold: 0.85 },
+  dof: { enabled: false, aperture: 0.2, maxBlur: 0.01, focusPoint: null },
+  vignette: { enabled: false, offset: 1, darkness: 1 }
+};
+
+// ─────────────────────────────────────────────
+// Pipeline Factory
+// ─────────────────────────────────────────────
+// The composer and its passes are only built the first time an effect
+// needs them; until then render() is a plain renderer.render().
+function createPostProcessing(renderer, scene) {
+  const settings = copySettings(DEFAULT_POST_PROCESSING);
+  const size = renderer.getSize(new THREE.Vector2());
+  let sceneRadius = 1;
+  let composer = null;
+  let passCamera = null;
+  const focusPoint = new THREE.Vector3();
+  const focusOffset = new THREE.Vector3();
+  const viewDirection = new THREE.Vector3();
+  let clippingPlanes = null;
+  let depthExclusions = [];
+  let renderPass, ssaoPass, bloomPass, bokehPass, outputPass, vignettePass, fxaaPass, smaaPass;
+
+  function buildComposer(camera) {
+    const { width, height } = size;
+    // The section caps of the viewer are drawn through the stencil buffer,
+    // which render targets lack by default; the composer clones this one
+    const target = new THREE.WebGLRenderTarget(width, height, {
+      type: THREE.HalfFloatType,
+      depthBuffer: true,
+      stencilBuffer: true
+    });
+    composer = new EffectComposer(renderer, target);
+    composer.setPixelRatio(renderer.getPixelRatio());
+    composer.setSize(width, height);
+
+    renderPass = new RenderPass(scene, camera);
+    ssaoPass = new SSAOPass(scene, camera, width, height);
+    bloomPass = new UnrealBloomPass(new THREE.Vector2(width, height), 0, 0, 0);
+    bokehPass = new BokehPass(scene, camera, {});
+    outputPass = new OutputPass();
+    vignettePass = new ShaderPass(VignetteShader);
+    fxaaPass = new ShaderPass(FXAAShader);
+    smaaPass = new SMAAPass(width * renderer.getPixelRatio(), height * renderer.getPixelRatio());
+
+    [renderPass, ssaoPass, bloomPass, bokehPass, outputPass, vignettePass, fxaaPass, smaaPass]
+      .forEach((pass) => composer.addPass(pass));
+
+    // SSAO and depth of field draw the scene again with one override
+    // material, which neither clips nor runs a stencil test: it gets the
+    // clipping planes, and the excluded objects are hidden meanwhile
+    [ssaoPass, bokehPass].forEach((pass) => {
+      const renderPassContents = pass.render.bind(pass);
+      pass.render = (...args) => renderWithoutExclusions(() => renderPassContents(...args));
+    });
+    applyClippingPlanes();
+    syncCamera(camera);
+    updateFXAAResolution();
+    applySettings();
+  }
+
+  // SSAO and depth of field read the depth buffer differently per projection
+  function syncCamera(camera) {
+    passCamera = camera;
+    renderPass.camera = camera;
+    ssaoPass.camera = camera;
+    bokehPass.camera = camera;
+
+    const perspective = camera.isPerspectiveCamera ? 1 : 0;
+    [ssaoPass.ssaoMaterial, ssaoPass.depthRenderMaterial, bokehPass.materialBokeh].forEach((material) => {
+      material.defines.PERSPECTIVE_CAMERA = perspective;
+      material.needsUpdate = true;
+    });
+    [ssaoPass.ssaoMaterial, ssaoPass.depthRenderMaterial].forEach((material) => {
+      material.uniforms.cameraNear.value = camera.near;
+      material.uniforms.cameraFar.value = camera.far;
+    });
+  }
+
+  function renderWithoutExclusions(draw) {
+    const visibility = depthExclusions.map((object) => object.visible);
+    depthExclusions.forEach((object) => { object.visible = false; });
+    try {
+      draw();
+    } finally {
+      depthExclusions.forEach((object, i) => { object.visible = visibility[i]; });
+    }
+  }
+
+  function applyClippingPlanes() {
+    if (!composer) return;
+    ssaoPass.normalMaterial.clippingPlanes = clippingPlanes;
+    bokehPass.materialDepth.clippingPlanes = clippingPlanes;
+  }
+
+  function updateFXAAResolution() {
+    const pixelRatio = renderer.getPixelRatio();
+    fxaaPass.material.uniforms.resolution.value.set(1 / (size.width * pixelRatio), 1 / (size.height * pixelRatio));
+  }
+
+  // Pushes `settings` into the renderer and (once built) the passes
+  function applySettings() {
+    renderer.toneMapping = TONE_MAPPINGS[settings.toneMapping].value;
+    if (!composer) return;
+
+    ssaoPass.enabled = settings.ssao.enabled;
+    bloomPass.enabled = settings.bloom.enabled;
+    bloomPass.strength = settings.bloom.strength;
+    bloomPass.radius = settings.bloom.radius;
+    bloomPass.threshold = settings.bloom.threshold;
+    bokehPass.enabled = settings.dof.enabled;
+    bokehPass.uniforms.maxblur.value = settings.dof.maxBlur;
+    vignettePass.enabled = settings.vignette.enabled;
+    vignettePass.uniforms.offset.value = settings.vignette.offset;
+    vignettePass.uniforms.darkness.value = settings.vignette.darkness;
+    fxaaPass.enabled = settings.antialias === 'fxaa';
+    smaaPass.enabled = settings.antialias === 'smaa';
+
+    // Changing the sample count only takes effect on reallocated targets
+    const samples = settings.antialias === 'msaa' ? MSAA_SAMPLES : 0;
+    [composer.renderTarget1, composer.renderTarget2].forEach((target) => {
+      if (target.samples === samples) return;
+      target.samples = samples;
+      target.dispose();
+    });
+  }
+
+  // Accepts any subset of the keys of DEFAULT_POST_PROCESSING; invalid
+  // values are ignored
+  function update(changes = {}) {
+    if (TONE_MAPPINGS[changes.toneMapping]) settings.toneMapping = changes.toneMapping;
+    if (ANTIALIAS_MODES[changes.antialias]) settings.antialias = changes.antialias;
+
+    Object.entries(EFFECTS).forEach(([effect, { parameters }]) => {
+      const effectChanges = changes[effect];
+      if (!effectChanges || typeof effectChanges !== 'object') return;
+      if ('enabled' in effectChanges) settings[effect].enabled = !!effectChanges.enabled;
+      Object.entries(parameters).forEach(([key, [min, max]]) => {
+        if (Number.isFinite(effectChanges[key])) settings[effect][key] = THREE.MathUtils.clamp(effectChanges[key], min, max);
+      });
+    });
+
+    if (changes.dof && 'focusPoint' in changes.dof) {
+      const point = changes.dof.focusPoint;
+      const valid = Array.isArray(point) && point.length === 3 && point.every(Number.isFinite);
+      settings.dof.focusPoint = valid ? [...point] : null;
+    }
+    applySettings();
+  }
+
+  function isActive() {
+    return settings.antialias !== 'msaa' || Object.keys(EFFECTS).some((effect) => settings[effect].enabled);
+  }
+
+  // Renders one frame. Depth of field keeps dof.focusPoint sharp, or
+  // `defaultFocus` (a world position) when there is none.
+  function render(camera, defaultFocus) {
+    if (!isActive()) {
+      renderer.render(scene, camera);
+      return;
+    }
+    if (!composer) buildComposer(camera);
+    if (camera !== passCamera) syncCamera(camera);
+
+    if (settings.ssao.enabled) {
+      // Zoom and field of view change the projection between frames
+      const uniforms = ssaoPass.ssaoMaterial.uniforms;
+      uniforms.cameraProjectionMatrix.value.copy(camera.projectionMatrix);
+      uniforms.cameraInverseProjectionMatrix.value.copy(camera.projectionMatrixInverse);
+
+      // Occlusion distances are fractions of the depth range
+      const depthRange = camera.far - camera.near;
+      ssaoPass.kernelRadius = settings.ssao.radius * sceneRadius;
+      ssaoPass.minDistance = (ssaoPass.kernelRadius * 0.01) / depthRange;
+      ssaoPass.maxDistance = ssaoPass.kernelRadius / depthRange;
+    }
+    if (settings.dof.enabled) {
+      const focus = settings.dof.focusPoint ? focusPoint.fromArray(settings.dof.focusPoint) : defaultFocus;
+      const direction = camera.getWorldDirection(viewDirection);
+      const distance = Math.max(focusOffset.subVectors(focus, camera.position).dot(direction), camera.near);
+      bokehPass.uniforms.focus.value = distance;
+      bokehPass.uniforms.aperture.value = settings.dof.aperture / distance;
+    }
+    composer.render();
+  }
+
+  function setSize(width, height) {
+    size.set(width, height);
+    if (!composer) return;
+    composer.setPixelRatio(renderer.getPixelRatio());
+    composer.setSize(width, height);
+    updateFXAAResolution();
+  }
+
+  // Bounding radius of the models, which the SSAO radius is relative to
+  function setSceneRadius(radius) {
+    sceneRadius = radius > 0 ? radius : 1;
+  }
+
+  // Planes the scene's materials are clipped by; pass the caller's own
+  // array so later changes to it apply to the depth passes as well
+  function setClippingPlanes(planes) {
+    clippingPlanes = planes;
+    applyClippingPlanes();
+  }
+
+  // Objects SSAO and depth of field must not see, such as stencil-masked
+  // section caps and plane overlays
+  function setDepthExclusions(objects) {
+    depthExclusions = [...objects];
+  }
+
+  function getSettings() {
+    return copySettings(settings);
+  }
+
+  // Labels for status displays: the tone mapping and, when the composer
+  // is in use, its enabled effects and filter
+  function describe() {
+    const passes = Object.entries(EFFECTS)
+      .filter(([effect]) => settings[effect].enabled)
+      .map(([, { label }]) => label);
+    if (passes.length > 0 || settings.antialias !== 'msaa') passes.push(ANTIALIAS_MODES[settings.antialias]);
+    return { toneMapping: TONE_MAPPINGS[settings.toneMapping].label, passes };
+  }
+
+  function dispose() {
+    if (!composer) return;
+    [ssaoPass, bloomPass, bokehPass, outputPass, vignettePass, fxaaPass, smaaPass].forEach((pass) => pass.dispose());
+    composer.dispose();
+    composer = null;
+  }
+
+  applySettings();
+
+  return {
+    update,
+    render,
+    setSize,
+    setSceneRadius,
+    setClippingPlanes,
+    setDepthExclusions,
+    getSettings,
+    describe,
+    isActive,
+    dispose
+  };
+}
+
+function copySettings(source) {
+  const copy = { toneMapping: source.toneMapping, antialias: source.antialias };
+  Object.keys(EFFECTS).forEach((effect) => { copy[effect] = { ...source[effect] }; });
+  if (source.dof.focusPoint) copy.dof.focusPoint = [...source.dof.focusPoint];
+  return copy;
+}
+
+export { createPostProcessing, TONE_MAPPINGS, ANTIALIAS_MODES, DEFAULT_POST_PROCESSING };
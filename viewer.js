@@ -0,0 +1,4499 @@
+/* ============================================
+   3D Model Viewer — Embeddable Viewer Core
+   createViewer(container, options) builds an independent viewer
+   (scene, renderer, controls, loaders) inside any element.
+
+   Methods:  loadModel, removeModel, setEnvironment, setEnvironmentSettings,
+             setBackground, setBackdrop, setExposure, setDisplay,
+             addLight, setLight, removeLight, editLight, setShadows,
+             setLightHelpers, resetLights, setPostProcessing, setFocusPicking,
+             setTransformMode, setTransform, setTransformSettings, dropToGround,
+             centerOnOrigin, frame, frameAll, resetCamera, resetModelTransform,
+             setStandardView, setProjection, setFieldOfView,
+             addCameraBookmark, removeCameraBookmark, goToCameraBookmark,
+             undo, redo, getHistory, goToHistory,
+             setMeasureMode, setUnits, getDimensions, clearMeasurements,
+             setSkeletonOptions, selectBone, setMorphInfluence,
+             setMaterialProperties, setMaterialVariant,
+             setAnnotateMode, addAnnotation, updateAnnotation, setAnnotationView,
+             goToAnnotation, removeAnnotation, exportAnnotations, importAnnotations,
+             setSectionPlane, editSectionPlane, setSectionCaps, clearSection,
+             select, setObjectVisible, isolate, getMeshMaterials, playAnimation,
+             toggleAnimation, seekAnimation, exportGLB, screenshot,
+             recordTurntable, getViewState, applyViewState,
+             getInspectionReport, dispose
+   Events:   loadstart, progress, load, error, modelchange,
+             selectionchange, animationchange, displaychange,
+             historychange, measurechange, sectionchange, camerachange,
+             environmentchange, lightchange, postprocessingchange,
+             annotationchange, transformchange, skeletonchange,
+             materialchange, frame
+   ============================================ */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
+import * as fflate from 'three/addons/libs/fflate.module.js';
+import { resolveModelEntries, loadModelFormat, fileListToEntries, getFileExtension } from './loaders.js';
+import { createHistory } from './history.js';
+import { inspectModel, describeTexture } from './inspection.js';
+import { createPostProcessing } from './postprocessing.js';
+import { createWebMMuxer, WEBM_CODECS } from './webm-muxer.js';
+
+// ─────────────────────────────────────────────
+// Preset Environment Maps (Poly Haven free HDRIs)
+// ─────────────────────────────────────────────
+// Presets without a url are generated locally and work offline; `room` also
+// stands in for any preset that fails to download.
+const ENV_PRESETS = {
+  studio:  { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/studio_small_09_2k.exr',  label: 'Estudio Profesional' },
+  sunset:  { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/industrial_sunset_02_puresky_2k.exr', label: 'Atardecer Industrial' },
+  sky:     { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/kloofendal_48d_partly_cloudy_puresky_2k.exr', label: 'Cielo Despejado' },
+  night:   { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/moonless_golf_2k.exr',     label: 'Noche Estrellada' },
+  city:    { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/shanghai_bund_2k.exr',     label: 'Ciudad Futurista' },
+  evening: { url: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/exr/2k/evening_road_01_2k.exr',   label: 'Camino al Atardecer' },
+  room:    { url: null, label: 'Estudio Generado' }
+};
+
+// Equirectangular formats accepted for environments and backdrops, by
+// extension; anything else is tried as EXR
+const ENVIRONMENT_LOADERS = {
+  exr: EXRLoader,
+  hdr: RGBELoader
+};
+const ENVIRONMENT_EXTENSIONS = Object.keys(ENVIRONMENT_LOADERS);
+
+const DEFAULT_OPTIONS = {
+  model: null,           // URL loaded on start
+  environment: null,     // ENV_PRESETS key (or EXR/HDR URL) loaded on start
+  exposure: 1.0,
+  grid: true,
+  axes: true,
+  autoRotate: true,
+  autoRotateSpeed: 0.5,  // rad/s
+  maxPixelRatio: 2
+};
+
+const VIEW_STATE_VERSION = 1;
+
+// Viewer-owned objects follow the `__name__` naming convention
+const VIEWER_OBJECT_PATTERN = /^__.+__$/;
+
+// Material view modes, recorded in the edit history. Every mode but `lit`
+// and `wireframeShaded` swaps the meshes' materials for generated ones;
+// `environment` modes still show reflections, `shadows: false` ones neither
+// cast nor receive shadows.
+const VIEW_MODES = {
+  lit:             { label: 'Iluminado', environment: true },
+  unlit:           { label: 'Color base (sin luz)' },
+  normals:         { label: 'Normales' },
+  uvChecker:       { label: 'Cuadrícula UV' },
+  matcap:          { label: 'Matcap' },
+  roughness:       { label: 'Canal: rugosidad' },
+  metalness:       { label: 'Canal: metalicidad' },
+  ao:              { label: 'Canal: oclusión (AO)' },
+  vertexColors:    { label: 'Colores de vértice' },
+  xray:            { label: 'Rayos X', shadows: false },
+  wireframe:       { label: 'Wireframe', environment: true },
+  wireframeShaded: { label: 'Wireframe sobre sombreado', environment: true },
+  hologram:        { label: 'Holograma', shadows: false }
+};
+
+// Channel views: the texture a PBR value is read from and the component
+// glTF packs it in (occlusion R, roughness G, metalness B)
+const CHANNEL_VIEWS = {
+  roughness: { map: 'roughnessMap', component: 'g' },
+  metalness: { map: 'metalnessMap', component: 'b' },
+  ao:        { map: 'aoMap', component: 'r' }
+};
+
+// What is drawn behind the models: the lighting environment, another HDRI
+// (the backdrop), a solid color or a vertical gradient
+const BACKGROUND_MODES = ['environment', 'backdrop', 'color', 'gradient'];
+const DEFAULT_BACKGROUND = { mode: 'environment', color: '#000000', gradient: ['#2b3a55', '#0b0b12'], blur: 0 };
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Gizmo mode → edited Object3D property / history label
+const TRANSFORM_PROPERTIES = { translate: 'position', rotate: 'quaternion', scale: 'scale' };
+const TRANSFORM_LABELS = { translate: 'Mover', rotate: 'Rotar', scale: 'Escalar' };
+
+// Gizmo space and snapping steps (meters, degrees, scale factor). Holding
+// Ctrl / Cmd while dragging inverts `snap.enabled`.
+const TRANSFORM_SPACES = { world: 'Global', local: 'Local' };
+const DEFAULT_TRANSFORM_SETTINGS = {
+  space: 'world',
+  snap: { enabled: false, translate: 0.1, rotate: 15, scale: 0.1 },
+  uniformScale: false
+};
+
+// Measurement tools: points per measurement, snap radius and overlay style
+const MEASURE_POINT_COUNTS = { distance: 2, angle: 3 };
+const MEASURE_SNAP_DISTANCE = 12; // px from the pointer to snap onto a vertex
+const MEASURE_COLOR = 0xffd166;
+const MEASURE_LABEL_STYLE = {
+  padding: '2px 6px',
+  borderRadius: '4px',
+  background: 'rgba(0, 0, 0, 0.75)',
+  color: '#ffd166',
+  font: '12px system-ui, sans-serif',
+  whiteSpace: 'nowrap'
+};
+
+// Display units for lengths (values are kept in meters)
+const LENGTH_UNITS = {
+  m:  { label: 'm', factor: 1, decimals: 3 },
+  cm: { label: 'cm', factor: 100, decimals: 1 },
+  mm: { label: 'mm', factor: 1000, decimals: 0 },
+  in: { label: 'in', factor: 1 / 0.0254, decimals: 2 }
+};
+
+// Annotation pins: screen-space labels anchored to the model surface.
+// Pins behind other geometry are dimmed; the test runs a few times a second.
+const ANNOTATIONS_VERSION = 1;
+const ANNOTATION_OCCLUSION_INTERVAL = 0.15; // seconds
+const ANNOTATION_OCCLUDED_OPACITY = 0.35;
+const ANNOTATION_PIN_STYLE = {
+  width: '22px',
+  height: '22px',
+  borderRadius: '50%',
+  border: '2px solid #ffffff',
+  background: '#e94560',
+  color: '#ffffff',
+  font: 'bold 12px/22px system-ui, sans-serif',
+  textAlign: 'center',
+  boxShadow: '0 1px 4px rgba(0, 0, 0, 0.5)',
+  cursor: 'pointer',
+  pointerEvents: 'auto',
+  transition: 'opacity 0.2s'
+};
+const ANNOTATION_CARD_STYLE = {
+  position: 'absolute',
+  left: '30px',
+  top: '-2px',
+  width: '200px',
+  padding: '6px 8px',
+  borderRadius: '4px',
+  background: 'rgba(0, 0, 0, 0.8)',
+  color: '#ffffff',
+  font: '12px/1.4 system-ui, sans-serif',
+  textAlign: 'left',
+  whiteSpace: 'pre-wrap',
+  pointerEvents: 'none'
+};
+
+// Skeleton inspector: bone name labels and the weight colors of the
+// selected bone (blue = no influence, green, red = full influence)
+const BONE_LABEL_STYLE = {
+  padding: '1px 4px',
+  borderRadius: '3px',
+  background: 'rgba(0, 0, 0, 0.6)',
+  color: '#7fdbff',
+  font: '10px system-ui, sans-serif',
+  whiteSpace: 'nowrap',
+  cursor: 'pointer',
+  pointerEvents: 'auto'
+};
+const SELECTED_BONE_COLOR = '#ffd166';
+
+// Material editor: the properties it edits (shown when the material has
+// them) as color pickers, [min, max] sliders or toggles, and the texture
+// slots it shows thumbnails of
+const MATERIAL_PROPERTIES = {
+  color:              { label: 'Color base', type: 'color' },
+  metalness:          { label: 'Metalicidad', range: [0, 1] },
+  roughness:          { label: 'Rugosidad', range: [0, 1] },
+  emissive:           { label: 'Emisión', type: 'color' },
+  emissiveIntensity:  { label: 'Intensidad emisiva', range: [0, 10] },
+  opacity:            { label: 'Opacidad', range: [0, 1] },
+  transmission:       { label: 'Transmisión', range: [0, 1] },
+  thickness:          { label: 'Grosor', range: [0, 5] },
+  ior:                { label: 'IOR', range: [1, 2.333] },
+  clearcoat:          { label: 'Clearcoat', range: [0, 1] },
+  clearcoatRoughness: { label: 'Rugosidad clearcoat', range: [0, 1] },
+  sheen:              { label: 'Sheen', range: [0, 1] },
+  sheenRoughness:     { label: 'Rugosidad sheen', range: [0, 1] },
+  sheenColor:         { label: 'Color sheen', type: 'color' },
+  iridescence:        { label: 'Iridiscencia', range: [0, 1] },
+  specularIntensity:  { label: 'Especular', range: [0, 1] },
+  specularColor:      { label: 'Color especular', type: 'color' },
+  transparent:        { label: 'Transparente', type: 'boolean' },
+  doubleSided:        { label: 'Doble cara', type: 'boolean' }
+};
+const TEXTURE_SLOTS = {
+  map: 'Color base',
+  normalMap: 'Normales',
+  roughnessMap: 'Rugosidad',
+  metalnessMap: 'Metalicidad',
+  aoMap: 'Oclusión',
+  emissiveMap: 'Emisión',
+  alphaMap: 'Alfa',
+  bumpMap: 'Relieve',
+  displacementMap: 'Desplazamiento',
+  lightMap: 'Lightmap',
+  transmissionMap: 'Transmisión',
+  thicknessMap: 'Grosor',
+  clearcoatMap: 'Clearcoat',
+  clearcoatRoughnessMap: 'Rugosidad clearcoat',
+  clearcoatNormalMap: 'Normales clearcoat',
+  sheenColorMap: 'Color sheen',
+  sheenRoughnessMap: 'Rugosidad sheen',
+  iridescenceMap: 'Iridiscencia',
+  iridescenceThicknessMap: 'Grosor iridiscencia',
+  specularIntensityMap: 'Especular',
+  specularColorMap: 'Color especular',
+  anisotropyMap: 'Anisotropía'
+};
+
+// Section (clipping) planes: slot count, orientations and overlay colors
+const SECTION_PLANE_COUNT = 3;
+const SECTION_ORIENTATIONS = { x: 'X', y: 'Y', z: 'Z', free: 'Libre' };
+const SECTION_PLANE_COLOR = 0x4dd7ef;
+const SECTION_CAP_COLOR = 0xe94560;
+
+// Standard views: direction from the target to the camera
+const STANDARD_VIEWS = {
+  front:  [0, 0, 1],
+  back:   [0, 0, -1],
+  right:  [1, 0, 0],
+  left:   [-1, 0, 0],
+  top:    [0, 1, 0],
+  bottom: [0, -1, 0]
+};
+const CAMERA_TRANSITION_DURATION = 0.6; // seconds
+const FOV_LIMITS = { min: 10, max: 120 };
+
+// Gap left between models added to the scene, as a fraction of the new one's width
+const MODEL_SPACING = 0.25;
+
+// Lighting rig. Point and spot lights do not fade with distance (decay 0),
+// so one intensity scale fits models of any size.
+const LIGHT_TYPES = {
+  ambient:     { label: 'Ambiental', Light: THREE.AmbientLight },
+  hemisphere:  { label: 'Hemisférica', Light: THREE.HemisphereLight },
+  directional: { label: 'Direccional', Light: THREE.DirectionalLight, positional: true, intensity: 1 },
+  point:       { label: 'Puntual', Light: THREE.PointLight, positional: true, intensity: 1.5 },
+  spot:        { label: 'Foco', Light: THREE.SpotLight, positional: true, intensity: 2 }
+};
+const LIGHT_INTENSITY_MAX = 10;
+const DEFAULT_LIGHTS = [
+  { name: 'Ambiental', type: 'ambient', color: '#ffffff', intensity: 0.4 },
+  { name: 'Principal', type: 'directional', color: '#ffffff', intensity: 1.5, position: [5, 8, 5], castShadow: true },
+  { name: 'Relleno', type: 'directional', color: '#8888ff', intensity: 0.4, position: [-3, 4, -3] },
+  { name: 'Hemisférica', type: 'hemisphere', color: '#ffffff', groundColor: '#444444', intensity: 0.3 }
+];
+// Softness is the PCF filter radius in shadow map texels
+const SHADOW_MAP_SIZES = [512, 1024, 2048, 4096];
+const DEFAULT_SHADOWS = { mapSize: 2048, bias: -0.0001, softness: 1.5 };
+const SHADOW_SOFTNESS_MAX = 8;
+const SHADOW_FALLBACK_RADIUS = 10; // area covered while there are no models
+
+const CLICK_MOVE_TOLERANCE = 4; // px the pointer may move and still count as a click
+const ANIMATION_CROSSFADE_DURATION = 0.4; // seconds
+const TURNTABLE_KEYFRAME_INTERVAL = 2; // seconds of video between key frames
+const TURNTABLE_ENCODE_QUEUE = 4;       // frames waiting in the encoder before rendering pauses
+
+// ─────────────────────────────────────────────
+// Viewer Factory
+// ─────────────────────────────────────────────
+function createViewer(container, userOptions = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions };
+
+  // The returned object is an EventTarget carrying the public methods
+  const viewer = new EventTarget();
+  const emit = (type, detail) => viewer.dispatchEvent(new CustomEvent(type, { detail }));
+
+  // --- State ---
+  let scene, camera, renderer;
+  let perspectiveCamera, orthographicCamera;
+  let cameraTransition = null;
+  let cameraBookmarks = [];
+  let orbitControls, transformControls;
+  let gridHelper, axesHelper;
+  let resizeObserver = null;
+  let frameRequest = null;
+  let modelRoot;
+  const models = [];        // records of every model in the scene, in outliner order
+  let currentModel = null;  // the active model: owner of the selection, animations and reports
+  let currentHDRI = null;
+  let generatedEnvironment = null; // PMREM target of the generated room, built on first use
+  let environmentFallback = false; // a preset failed and the generated room stands in
+  const clock = new THREE.Clock();
+  let autoRotate = options.autoRotate;
+  let autoRotateSpeed = options.autoRotateSpeed;
+  let modelInitialTransform = null;
+  let environmentRotation = 0;  // radians around Y, shared by lighting and HDRI backgrounds
+  let environmentIntensity = 1;
+  const background = { ...DEFAULT_BACKGROUND, gradient: [...DEFAULT_BACKGROUND.gradient] };
+  let backdropTexture = null;
+  let backdropKey = null;
+  let backdropName = null;
+  let gradientTexture = null;
+  const originalMaterials = new Map();
+  let currentRecord = null;
+  let transformEdit = null;
+  const transformSettings = { ...DEFAULT_TRANSFORM_SETTINGS, snap: { ...DEFAULT_TRANSFORM_SETTINGS.snap } };
+  let snapInverted = false; // Ctrl / Cmd held during the current gizmo drag
+  // Undone and redone moves change the models' bounds
+  const editHistory = createHistory({
+    onChange: () => {
+      updateSceneBounds();
+      emit('historychange', getHistory());
+      emit('transformchange', getTransformState());
+    }
+  });
+  let currentEnvironmentKey = null;
+  let mixer = null;
+  let animationClips = [];
+  let activeAction = null;
+  let animationLoop = true;
+  let animationSpeed = 1;
+  let isRecording = false;
+  let postProcessing;
+  let focusPicking = false; // the next click sets the depth of field focus point
+  let labelRenderer;
+  let measurementGroup;
+  let measureMode = null;
+  let measureUnit = 'm';
+  let measurements = [];
+  let pendingMeasurement = null;
+  let measureCursor = null;
+  let annotationGroup;
+  let annotations = [];        // { id, title, text, object, local, view, label } in pin order
+  let nextAnnotationId = 1;
+  let annotateMode = false;    // clicks on the models drop pins
+  let activeAnnotation = null; // id of the pin showing its card
+  let annotationOcclusionTimer = 0;
+  const measureLineMaterial = new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false, transparent: true });
+  const measureMarkerMaterial = new THREE.PointsMaterial({
+    color: MEASURE_COLOR,
+    size: 8,
+    sizeAttenuation: false,
+    depthTest: false,
+    transparent: true
+  });
+  let sectionGroup;
+  let sectionCapGroup;
+  let sectionControls;
+  const sectionPlanes = [];
+  const clippingPlanes = []; // enabled planes, shared by every model material
+  let sectionStencils = [];
+  let viewOverlayGroup;
+  const viewOverlays = new Map(); // record → [{ source, mesh }] of wireframe-over-shaded models
+  const wireOverlayMaterial = new THREE.MeshBasicMaterial({
+    color: 0x000000,
+    wireframe: true,
+    transparent: true,
+    opacity: 0.45
+  });
+  let uvCheckerTexture = null;
+  let matcapTexture = null;
+  let skeletonGroup;
+  let skeletonHelper = null;
+  let skeletonVisible = false;
+  let boneNamesVisible = false;
+  let boneLabels = [];       // { bone, label } of the active model
+  let selectedBone = null;
+  let weightOverlays = [];   // { source, mesh } coloring the selected bone's weights
+  let variantRequest = 0;    // latest setMaterialVariant() call
+  let sectionCaps = false;
+  let sectionEditing = null;
+  let sectionGizmoMode = 'translate';
+  const lights = [];        // { id, name, type, light, helper } in panel order
+  let nextLightId = 1;
+  let lightHelperGroup;
+  let lightControls;
+  let lightEditing = null;  // id of the light attached to the light gizmo
+  let lightHelpersVisible = false;
+  const shadowSettings = { ...DEFAULT_SHADOWS };
+  let selectedObject = null;
+  let selectionHelper = null;
+  let isolatedObject = null;
+  let isolationSnapshot = null;
+  const raycaster = new THREE.Raycaster();
+  const pointerNDC = new THREE.Vector2();
+
+  // ─────────────────────────────────────────────
+  // Initialization
+  // ─────────────────────────────────────────────
+  function init() {
+    // --- Scene ---
+    scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x000000);
+
+    // --- Camera ---
+    // `camera` is whichever of the two is active; the perspective camera's
+    // fov also sizes the orthographic frustum, see updateCameraProjection()
+    perspectiveCamera = new THREE.PerspectiveCamera(45, getContainerAspect(), 0.01, 1000);
+    orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.01, 1000);
+    camera = perspectiveCamera;
+    camera.position.set(3, 2, 5);
+
+    // --- Renderer (4K support, antialias, shadows) ---
+    const canvas = document.createElement('canvas');
+    canvas.className = 'gabo-viewer-canvas';
+    canvas.style.display = 'block';
+    canvas.style.width = '100%';
+    canvas.style.height = '100%';
+    container.appendChild(canvas);
+
+    renderer = new THREE.WebGLRenderer({
+      canvas: canvas,
+      antialias: true,
+      alpha: true, // needed for transparent screenshots
+      stencil: true, // needed for capped section planes
+      powerPreference: 'high-performance'
+    });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, options.maxPixelRatio));
+    renderer.setSize(container.clientWidth || 1, container.clientHeight || 1, false);
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFShadowMap; // PCFSoft ignores the softness radius
+    renderer.toneMappingExposure = options.exposure;
+    renderer.outputColorSpace = THREE.SRGBColorSpace;
+    renderer.localClippingEnabled = true;
+
+    // --- Post-processing (also owns the tone mapping choice) ---
+    postProcessing = createPostProcessing(renderer, scene);
+
+    // --- Overlay for measurement labels ---
+    if (getComputedStyle(container).position === 'static') container.style.position = 'relative';
+    labelRenderer = new CSS2DRenderer();
+    labelRenderer.setSize(container.clientWidth || 1, container.clientHeight || 1);
+    Object.assign(labelRenderer.domElement.style, { position: 'absolute', top: '0', left: '0', pointerEvents: 'none' });
+    container.appendChild(labelRenderer.domElement);
+
+    // --- Grid & Axes Helpers ---
+    gridHelper = new THREE.GridHelper(20, 40, 0x444444, 0x222222);
+    gridHelper.visible = options.grid;
+    scene.add(gridHelper);
+
+    axesHelper = new THREE.AxesHelper(3);
+    axesHelper.visible = options.axes;
+    scene.add(axesHelper);
+
+    // --- Ground plane for shadow receiving ---
+    const groundGeo = new THREE.PlaneGeometry(50, 50);
+    const groundMat = new THREE.ShadowMaterial({ opacity: 0.3 });
+    const ground = new THREE.Mesh(groundGeo, groundMat);
+    ground.rotation.x = -Math.PI / 2;
+    ground.position.y = -0.001;
+    ground.receiveShadow = true;
+    ground.name = '__ground__';
+    scene.add(ground);
+
+    // --- Loaded models ---
+    modelRoot = new THREE.Group();
+    modelRoot.name = '__models__';
+    scene.add(modelRoot);
+
+    // --- Wireframe copies drawn over shaded models ---
+    viewOverlayGroup = new THREE.Group();
+    viewOverlayGroup.name = '__viewOverlays__';
+    scene.add(viewOverlayGroup);
+
+    // --- Lighting (shadow cameras fit the models) ---
+    setupLighting();
+
+    // --- Measurement overlays ---
+    measurementGroup = new THREE.Group();
+    measurementGroup.name = '__measurements__';
+    scene.add(measurementGroup);
+
+    const cursorGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3()]);
+    measureCursor = new THREE.Points(cursorGeometry, measureMarkerMaterial);
+    measureCursor.frustumCulled = false;
+    measureCursor.renderOrder = 999;
+    measureCursor.visible = false;
+    measurementGroup.add(measureCursor);
+
+    // --- Skeleton overlay, bone names and weight colors ---
+    skeletonGroup = new THREE.Group();
+    skeletonGroup.name = '__skeleton__';
+    scene.add(skeletonGroup);
+
+    // --- Annotation pins ---
+    annotationGroup = new THREE.Group();
+    annotationGroup.name = '__annotations__';
+    scene.add(annotationGroup);
+
+    // --- Section planes ---
+    setupSectionPlanes();
+    postProcessing.setClippingPlanes(clippingPlanes);
+    postProcessing.setDepthExclusions([sectionGroup, sectionCapGroup]);
+
+    // --- Orbit Controls ---
+    orbitControls = new OrbitControls(camera, renderer.domElement);
+    orbitControls.enableDamping = true;
+    orbitControls.dampingFactor = 0.08;
+    orbitControls.minDistance = 0.1;
+    orbitControls.maxDistance = 100;
+    orbitControls.target.set(0, 0, 0);
+    orbitControls.addEventListener('start', () => { cameraTransition = null; });
+
+    // --- Transform Controls ---
+    transformControls = new TransformControls(camera, renderer.domElement);
+    transformControls.setMode('translate');
+    transformControls.addEventListener('dragging-changed', (event) => {
+      orbitControls.enabled = !event.value;
+      if (event.value) beginTransformEdit();
+      else endTransformEdit();
+    });
+    transformControls.addEventListener('objectChange', onGizmoObjectChange);
+    scene.add(transformControls);
+    setupSnapModifier();
+
+    // --- Events ---
+    resizeObserver = new ResizeObserver(onContainerResize);
+    resizeObserver.observe(container);
+    setupPicking();
+
+    // --- Initial content ---
+    if (options.environment) setEnvironment(options.environment);
+    if (options.model) loadModel(options.model);
+
+    // --- Start render loop ---
+    animate();
+  }
+
+  // ─────────────────────────────────────────────
+  // Lighting Rig
+  // ─────────────────────────────────────────────
+  // The default lights are ordinary entries, so they can be edited and
+  // removed like the ones added later. Positional lights are moved with
+  // their own gizmo; directional and spot lights always aim at the middle
+  // of the models, and every shadow camera is refitted to the models'
+  // bounds whenever they or the lights change.
+  function setupLighting() {
+    lightHelperGroup = new THREE.Group();
+    lightHelperGroup.name = '__lightHelpers__';
+    lightHelperGroup.visible = lightHelpersVisible;
+    scene.add(lightHelperGroup);
+
+    lightControls = new TransformControls(camera, renderer.domElement);
+    lightControls.setMode('translate');
+    lightControls.addEventListener('dragging-changed', (event) => {
+      orbitControls.enabled = !event.value;
+      if (!event.value) emit('lightchange', getLightState());
+    });
+    lightControls.addEventListener('objectChange', () => fitShadowCameras());
+    scene.add(lightControls);
+
+    replaceLights(DEFAULT_LIGHTS);
+  }
+
+  function createLightRecord(spec) {
+    const type = LIGHT_TYPES[spec.type];
+    const record = { id: nextLightId++, name: '', type: spec.type, light: new type.Light(), helper: null };
+    const { light } = record;
+    light.name = `__light${record.id}__`;
+
+    if (spec.type === 'directional') {
+      record.helper = new THREE.DirectionalLightHelper(light, 0.5);
+    } else if (spec.type === 'point') {
+      light.decay = 0;
+      record.helper = new THREE.PointLightHelper(light, 0.15);
+    } else if (spec.type === 'spot') {
+      light.decay = 0;
+      light.angle = THREE.MathUtils.degToRad(30);
+      light.penumbra = 0.3;
+      record.helper = new THREE.SpotLightHelper(light);
+    }
+
+    applyLightChanges(record, { name: type.label, intensity: type.intensity, ...spec });
+    applyShadowSettings(record);
+    scene.add(light);
+    if (record.helper) lightHelperGroup.add(record.helper);
+    return record;
+  }
+
+  // changes: { name, enabled, color, intensity, groundColor (hemisphere),
+  // position, castShadow (positional), angle in degrees, penumbra (spot) }
+  function applyLightChanges(record, changes) {
+    const { light, type } = record;
+    if (typeof changes.name === 'string' && changes.name.trim()) record.name = changes.name.trim();
+    if ('enabled' in changes) light.visible = !!changes.enabled;
+    if (HEX_COLOR_PATTERN.test(changes.color)) light.color.set(changes.color);
+    if (Number.isFinite(changes.intensity)) light.intensity = THREE.MathUtils.clamp(changes.intensity, 0, LIGHT_INTENSITY_MAX);
+    if (type === 'hemisphere' && HEX_COLOR_PATTERN.test(changes.groundColor)) light.groundColor.set(changes.groundColor);
+    if (LIGHT_TYPES[type].positional) {
+      if (isVectorArray(changes.position)) light.position.fromArray(changes.position);
+      if ('castShadow' in changes) light.castShadow = !!changes.castShadow;
+    }
+    if (type === 'spot') {
+      if (Number.isFinite(changes.angle)) light.angle = THREE.MathUtils.degToRad(THREE.MathUtils.clamp(changes.angle, 1, 89));
+      if (Number.isFinite(changes.penumbra)) light.penumbra = THREE.MathUtils.clamp(changes.penumbra, 0, 1);
+    }
+    if (record.helper) record.helper.visible = light.visible;
+  }
+
+  function disposeLightRecord(record) {
+    if (lightEditing === record.id) {
+      lightEditing = null;
+      lightControls.detach();
+    }
+    scene.remove(record.light);
+    record.light.dispose();
+    if (record.helper) {
+      lightHelperGroup.remove(record.helper);
+      record.helper.dispose();
+    }
+  }
+
+  // Swaps the whole rig for `specs` (the defaults, or a saved view)
+  function replaceLights(specs) {
+    lights.splice(0).forEach(disposeLightRecord);
+    specs
+      .filter((spec) => spec && LIGHT_TYPES[spec.type])
+      .forEach((spec) => lights.push(createLightRecord(spec)));
+    fitShadowCameras();
+  }
+
+  function getLightRecord(id) {
+    return lights.find((record) => record.id === id) || null;
+  }
+
+  // Applies the size, bias and softness of shadowSettings to one light
+  function applyShadowSettings({ light, type }) {
+    if (!LIGHT_TYPES[type].positional) return;
+    const { shadow } = light;
+    if (shadow.mapSize.x !== shadowSettings.mapSize) {
+      shadow.mapSize.set(shadowSettings.mapSize, shadowSettings.mapSize);
+      // The renderer only allocates a map when there is none
+      if (shadow.map) {
+        shadow.map.dispose();
+        shadow.map = null;
+      }
+    }
+    shadow.bias = shadowSettings.bias;
+    shadow.radius = shadowSettings.softness;
+  }
+
+  // Aims directional and spot lights at the middle of the models and sizes
+  // their shadow cameras to just cover them, so shadows are neither clipped
+  // on large models nor blocky on small ones
+  function fitShadowCameras(sphere = getModelsSphere()) {
+    if (!(sphere.radius > 0)) sphere.set(new THREE.Vector3(), SHADOW_FALLBACK_RADIUS);
+    const radius = sphere.radius;
+
+    lights.forEach(({ light, type }) => {
+      if (!LIGHT_TYPES[type].positional) return;
+      if (light.target) {
+        light.target.position.copy(sphere.center);
+        light.target.updateMatrixWorld();
+      }
+
+      // Shadows reach the ground behind the models, well past their bounds
+      const distance = light.position.distanceTo(sphere.center);
+      const shadowCamera = light.shadow.camera;
+      shadowCamera.far = distance + radius * 3;
+      if (type === 'directional') {
+        shadowCamera.left = -radius;
+        shadowCamera.right = radius;
+        shadowCamera.top = radius;
+        shadowCamera.bottom = -radius;
+        shadowCamera.near = Math.max(0.01, distance - radius * 1.5);
+      } else {
+        // Point and spot lights may sit inside the bounds
+        shadowCamera.near = Math.max(0.01, radius / 100);
+      }
+      shadowCamera.updateProjectionMatrix();
+    });
+  }
+
+  // Adds a point, spot or directional light above the models. Returns the
+  // new light's id (null for other types).
+  function addLight(type, changes = {}) {
+    if (!LIGHT_TYPES[type] || !LIGHT_TYPES[type].positional) return null;
+
+    const sphere = getModelsSphere();
+    const radius = sphere.radius > 0 ? Math.max(sphere.radius, 0.5) : 2;
+    const center = sphere.radius > 0 ? sphere.center : new THREE.Vector3();
+    const count = lights.filter((record) => record.type === type).length;
+
+    const record = createLightRecord({
+      type,
+      name: `${LIGHT_TYPES[type].label} ${count + 1}`,
+      position: vectorToArray(center.clone().add(new THREE.Vector3(radius, radius * 1.5, radius))),
+      castShadow: true,
+      ...changes
+    });
+    lights.push(record);
+    fitShadowCameras();
+    emit('lightchange', getLightState());
+    return record.id;
+  }
+
+  function setLight(id, changes) {
+    const record = getLightRecord(id);
+    if (!record) return;
+    applyLightChanges(record, changes);
+    if (record.id === lightEditing && !record.light.visible) editLight(null);
+    fitShadowCameras();
+    emit('lightchange', getLightState());
+  }
+
+  function removeLight(id) {
+    const record = getLightRecord(id);
+    if (!record) return;
+    lights.splice(lights.indexOf(record), 1);
+    disposeLightRecord(record);
+    emit('lightchange', getLightState());
+  }
+
+  // Attaches the light gizmo to light `id` (null detaches it)
+  function editLight(id) {
+    const record = getLightRecord(id);
+    lightEditing = record && LIGHT_TYPES[record.type].positional && record.light.visible ? id : null;
+
+    if (lightEditing !== null) {
+      // Only one gizmo is shown at a time
+      select(null);
+      if (sectionEditing !== null) editSectionPlane(null);
+      lightControls.attach(record.light);
+    } else {
+      lightControls.detach();
+    }
+    emit('lightchange', getLightState());
+  }
+
+  // changes: { mapSize (one of SHADOW_MAP_SIZES), bias, softness }
+  function setShadows(changes = {}) {
+    if (SHADOW_MAP_SIZES.includes(changes.mapSize)) shadowSettings.mapSize = changes.mapSize;
+    if (Number.isFinite(changes.bias)) shadowSettings.bias = THREE.MathUtils.clamp(changes.bias, -0.01, 0.01);
+    if (Number.isFinite(changes.softness)) shadowSettings.softness = THREE.MathUtils.clamp(changes.softness, 0, SHADOW_SOFTNESS_MAX);
+    lights.forEach(applyShadowSettings);
+    emit('lightchange', getLightState());
+  }
+
+  function setLightHelpers(visible) {
+    lightHelpersVisible = !!visible;
+    lightHelperGroup.visible = lightHelpersVisible;
+    emit('lightchange', getLightState());
+  }
+
+  function resetLights() {
+    Object.assign(shadowSettings, DEFAULT_SHADOWS);
+    replaceLights(DEFAULT_LIGHTS);
+    emit('lightchange', getLightState());
+  }
+
+  function updateLightHelpers() {
+    if (!lightHelperGroup.visible) return;
+    lights.forEach(({ light, helper }) => {
+      if (!helper) return;
+      helper.update();
+      // Without a range the spot helper draws a 1000-unit cone; end it at the target
+      if (light.isSpotLight) helper.cone.scale.multiplyScalar(light.position.distanceTo(light.target.position) / 1000);
+    });
+  }
+
+  function getLightEntry({ id, name, type, light }) {
+    const entry = {
+      id,
+      name,
+      type,
+      enabled: light.visible,
+      color: `#${light.color.getHexString()}`,
+      intensity: roundValue(light.intensity)
+    };
+    if (type === 'hemisphere') entry.groundColor = `#${light.groundColor.getHexString()}`;
+    if (LIGHT_TYPES[type].positional) {
+      entry.position = vectorToArray(light.position);
+      entry.castShadow = light.castShadow;
+    }
+    if (type === 'spot') {
+      entry.angle = roundValue(THREE.MathUtils.radToDeg(light.angle));
+      entry.penumbra = roundValue(light.penumbra);
+    }
+    return entry;
+  }
+
+  function getLightState() {
+    return {
+      lights: lights.map(getLightEntry),
+      shadows: { ...shadowSettings },
+      helpers: lightHelpersVisible,
+      editing: lightEditing
+    };
+  }
+
+  // ─────────────────────────────────────────────
+  // Container Resize
+  // ─────────────────────────────────────────────
+  function getContainerAspect() {
+    return (container.clientWidth || 1) / (container.clientHeight || 1);
+  }
+
+  function onContainerResize() {
+    // A capture in progress owns the drawing buffer size
+    if (isRecording || !container.clientWidth || !container.clientHeight) return;
+    updateCameraProjection();
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, options.maxPixelRatio));
+    renderer.setSize(container.clientWidth, container.clientHeight, false);
+    postProcessing.setSize(container.clientWidth, container.clientHeight);
+    labelRenderer.setSize(container.clientWidth, container.clientHeight);
+  }
+
+  // ─────────────────────────────────────────────
+  // Render Loop
+  // ─────────────────────────────────────────────
+  function animate() {
+    frameRequest = requestAnimationFrame(animate);
+    const delta = clock.getDelta();
+
+    // Turntable recording drives rotation, animation and rendering itself
+    if (isRecording) return;
+
+    // Auto-rotate every model slowly around its own Y axis
+    if (autoRotate) {
+      models.forEach((record) => {
+        record.model.rotation.y += autoRotateSpeed * delta;
+        record.spin += autoRotateSpeed * delta;
+      });
+    }
+
+    // Advance skeletal / morph animations
+    if (mixer) mixer.update(delta);
+
+    if (selectionHelper) selectionHelper.update();
+    updateLightHelpers();
+    updateMeasurementVisuals();
+    updateAnnotations(delta);
+    updateSectionStencils();
+    updateViewOverlays();
+    updateSkeletonInspector();
+    updateCameraTransition();
+
+    orbitControls.update();
+    if (camera.isOrthographicCamera) updateCameraProjection();
+    emit('frame', { delta });
+    // Without a picked focus point, depth of field keeps the orbit target sharp
+    postProcessing.render(camera, orbitControls.target);
+    labelRenderer.render(scene, camera);
+  }
+
+  // ─────────────────────────────────────────────
+  // Shared Model Setup (used by every format loader in MODEL_FORMATS)
+  // ─────────────────────────────────────────────
+  // Prepares a freshly loaded model and wraps it in a record holding
+  // everything needed to show it again later (undo of a later load).
+  function setupLoadedModel(model, name, animations = [], source = null, fileSet = null) {
+    model.name = name || 'LoadedModel';
+
+    // Enable shadows on all meshes
+    model.traverse((child) => {
+      if (child.isMesh) {
+        child.castShadow = true;
+        child.receiveShadow = true;
+        if (child.material) {
+          child.material.envMapIntensity = 1.0;
+        }
+      }
+    });
+
+    // Keep the file's own root transform so exports can undo the auto-centering
+    model.updateMatrix();
+    const sourceMatrix = model.matrix.clone();
+
+    // Scale to reasonable size if too large or too small. The factor is kept
+    // so measurements can be reported in the file's own units.
+    const sourceSize = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+    const maxDim = Math.max(sourceSize.x, sourceSize.y, sourceSize.z);
+    let fitScale = 1;
+    if (maxDim > 0 && (maxDim > 10 || maxDim < 0.1)) {
+      fitScale = 3 / maxDim;
+      model.scale.multiplyScalar(fitScale);
+    }
+
+    // Center the (rescaled) model and move it so it sits on the ground
+    const box = new THREE.Box3().setFromObject(model);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    model.position.sub(center);
+    model.position.y += size.y / 2;
+
+    return {
+      model,
+      animations,
+      // Initial transform for reset
+      initialTransform: {
+        position: model.position.clone(),
+        rotation: model.rotation.clone(),
+        scale: model.scale.clone(),
+        sourceMatrix,
+        fitScale
+      },
+      // Only network URLs can be shared in links and scene files
+      source,
+      // FBX/MTL textures keep streaming in after the loader resolves, so the
+      // object URLs stay alive as long as the model does
+      fileSet,
+      // Filled in by loadModel for the inspection report
+      format: null,
+      extensions: [],
+      // KHR_materials_variants (see loaders.js): the active variant index
+      // (-1 = the file's default materials), the default material of each
+      // mesh a variant changed and every material shown so far
+      variants: null,
+      variant: -1,
+      defaultMaterials: new Map(),
+      variantMaterials: new Set(),
+      // Measurements and annotations on the model while it is out of the
+      // scene (see detachRecord), so undo brings them back with it
+      measurements: [],
+      annotations: [],
+      // Angle auto-rotate has added since the orientation was last set,
+      // which export leaves out (see setModelSpin)
+      spin: 0,
+      display: { viewMode: 'lit' }
+    };
+  }
+
+  // ─────────────────────────────────────────────
+  // Model Set (several models, one of them active)
+  // ─────────────────────────────────────────────
+  // Every model lives under `modelRoot`. The active one (currentModel) owns
+  // the selection, animations, dimensions, inspection and export; selecting
+  // anything inside another model activates it. Records taken out of the
+  // scene keep their own materials so undo can bring them back.
+
+  // Record of the model `object` belongs to, if any
+  function getRecordOf(object) {
+    let node = object;
+    while (node && node.parent !== modelRoot) node = node.parent;
+    return node ? models.find((record) => record.model === node) || null : null;
+  }
+
+  function setActiveRecord(record) {
+    if (record === currentRecord) return;
+    disposeAnimations();
+
+    currentRecord = record;
+    currentModel = record ? record.model : null;
+    modelInitialTransform = record ? record.initialTransform : null;
+
+    if (record) setupAnimations(record.model, record.animations);
+    setupSkeletonInspector();
+  }
+
+  // Puts a record in the scene with the display modes it had
+  function attachRecord(record, index = models.length) {
+    models.splice(index, 0, record);
+    modelRoot.add(record.model);
+    applyEnvironmentToMaterials(record.model, !!currentHDRI);
+    applyViewMode(record, record.display.viewMode);
+    restoreMeasurements(record.measurements);
+    restoreAnnotations(record.annotations);
+    record.measurements = [];
+    record.annotations = [];
+  }
+
+  // Takes a record out of the scene, back on its own materials.
+  // Returns the index it had.
+  function detachRecord(record) {
+    const index = models.indexOf(record);
+    if (index < 0) return -1;
+    record.measurements = takeMeasurementsOn(record.model);
+    record.annotations = takeAnnotationsOn(record.model);
+    applyViewMode(record, 'lit');
+    models.splice(index, 1);
+    modelRoot.remove(record.model);
+    return index;
+  }
+
+  // Replaces the whole set (a plain load, or undoing one)
+  function setModels(records, active = records[records.length - 1] || null) {
+    clearIsolation();
+    select(null);
+    setActiveRecord(null);
+    [...models].forEach(detachRecord);
+    records.forEach((record) => attachRecord(record));
+    setActiveRecord(active);
+    if (active) select(active.model);
+    onModelsChanged();
+  }
+
+  function addRecord(record, index = models.length) {
+    clearIsolation();
+    attachRecord(record, index);
+    setActiveRecord(record);
+    select(record.model);
+    onModelsChanged();
+  }
+
+  // The next model in the list becomes active if the active one goes
+  function removeRecord(record) {
+    clearIsolation();
+    const wasActive = record === currentRecord;
+    if (wasActive || getRecordOf(selectedObject) === record) select(null);
+    if (wasActive) setActiveRecord(null);
+
+    const index = detachRecord(record);
+    if (wasActive && models.length > 0) {
+      const next = models[Math.min(index, models.length - 1)];
+      setActiveRecord(next);
+      select(next.model);
+    }
+    onModelsChanged();
+    return index;
+  }
+
+  function onModelsChanged() {
+    applySectionPlanes();
+    updateSceneBounds();
+    emitModelChange();
+  }
+
+  function emitModelChange() {
+    emit('modelchange', { model: currentModel, models: models.map((record) => record.model) });
+    emit('displaychange', getDisplay());
+  }
+
+  // Bounding sphere of every model (empty, radius < 0, without models)
+  function getModelsSphere() {
+    return new THREE.Box3().setFromObject(modelRoot).getBoundingSphere(new THREE.Sphere());
+  }
+
+  // Refits what is sized to the models: shadow cameras and the SSAO radius
+  function updateSceneBounds() {
+    const sphere = getModelsSphere();
+    postProcessing.setSceneRadius(sphere.radius);
+    fitShadowCameras(sphere);
+  }
+
+  // Places a model being added on the ground, to the right of the others
+  function placeBesideModels(record) {
+    if (models.length === 0) return;
+    const existing = new THREE.Box3().setFromObject(modelRoot);
+    const box = new THREE.Box3().setFromObject(record.model);
+    const gap = box.getSize(new THREE.Vector3()).x * MODEL_SPACING;
+    record.model.position.x += existing.max.x - box.min.x + gap;
+    record.initialTransform.position.copy(record.model.position);
+  }
+
+  // Removes a model from the scene; undo puts it back where it was
+  function removeModel(model = currentModel) {
+    const record = models.find((candidate) => candidate.model === model);
+    if (!record) return;
+
+    let index = removeRecord(record);
+    editHistory.push({
+      label: `Quitar ${model.name}`,
+      heavy: true,
+      undo: () => addRecord(record, index),
+      redo: () => { index = removeRecord(record); },
+      discard: (reason) => { if (reason === 'expired') disposeModelRecord(record); }
+    });
+  }
+
+  function disposeModelRecord(record) {
+    disposeObject(record.model);
+    record.measurements.forEach(({ measurement }) => disposeMeasurement(measurement));
+    record.annotations.forEach(({ annotation }) => disposeAnnotation(annotation));
+    // Materials of the variants not shown at the moment
+    record.variantMaterials.forEach(disposeMaterial);
+    record.defaultMaterials.forEach(disposeMaterial);
+    if (record.fileSet) record.fileSet.dispose();
+  }
+
+  // ─────────────────────────────────────────────
+  // Model Loading
+  // ─────────────────────────────────────────────
+  // `source` is a URL, a File, or a set of files (FileList or [{ file, path }])
+  // whose relative URIs are resolved against each other. With `add` the model
+  // joins the ones already in the scene instead of replacing them. Resolves
+  // to true once the model is in the scene.
+  function loadModel(source, { name, add = false } = {}) {
+    let url;
+    let modelName;
+    let fileSet = null;
+
+    if (typeof source === 'string') {
+      url = source;
+      modelName = name || decodeURIComponent(source.split(/[?#]/)[0].split('/').pop()) || 'Model';
+    } else {
+      const entries = source instanceof File ? fileListToEntries([source]) : toEntries(source);
+      const resolved = resolveModelEntries(entries);
+      if (!resolved) {
+        emit('error', { kind: 'model', name: name || '', error: new Error('No supported model file found') });
+        return Promise.resolve(false);
+      }
+      ({ url, fileSet } = resolved);
+      modelName = name || resolved.name;
+    }
+
+    const manager = fileSet ? fileSet.manager : new THREE.LoadingManager();
+    emit('loadstart', { kind: 'model', name: modelName });
+
+    const onProgress = (progress) => {
+      if (progress.total > 0) {
+        emit('progress', { kind: 'model', name: modelName, loaded: progress.loaded, total: progress.total });
+      }
+    };
+
+    return loadModelFormat(url, modelName, manager, onProgress, renderer)
+      .then(({ object, animations, warnings, extensions, variants, format }) => {
+        const previous = [...models];
+        const previousActive = currentRecord;
+        const record = setupLoadedModel(object, modelName, animations, fileSet ? null : { url, name: modelName }, fileSet);
+        record.format = format.label;
+        record.extensions = extensions;
+        record.variants = variants;
+
+        if (add && previous.length > 0) {
+          placeBesideModels(record);
+          let index = models.length;
+          addRecord(record, index);
+          frame(modelRoot);
+
+          editHistory.push({
+            label: `Añadir ${modelName}`,
+            heavy: true,
+            undo: () => { index = removeRecord(record); },
+            redo: () => addRecord(record, index),
+            discard: (reason) => { if (reason === 'abandoned') disposeModelRecord(record); }
+          });
+        } else {
+          setModels([record]);
+          frame(record.model);
+
+          // The replaced models stay in memory while the load can be undone
+          if (previous.length > 0) {
+            editHistory.push({
+              label: `Cargar ${modelName}`,
+              heavy: true,
+              undo: () => setModels(previous, previousActive),
+              redo: () => setModels([record]),
+              discard: (reason) => {
+                if (reason === 'expired') previous.forEach(disposeModelRecord);
+                else disposeModelRecord(record);
+              }
+            });
+          }
+        }
+
+        emit('load', {
+          kind: 'model',
+          name: modelName,
+          format: format.label,
+          warnings,
+          missing: fileSet ? [...fileSet.missing] : []
+        });
+        return true;
+      })
+      .catch((error) => {
+        console.error(`Error loading model ${modelName}:`, error);
+        if (fileSet) fileSet.dispose();
+        emit('error', {
+          kind: 'model',
+          name: modelName,
+          error,
+          missing: fileSet ? [...fileSet.missing] : []
+        });
+        return false;
+      });
+  }
+
+  function toEntries(files) {
+    const list = Array.from(files);
+    return list.length > 0 && list[0] instanceof File ? fileListToEntries(list) : list;
+  }
+
+  // ─────────────────────────────────────────────
+  // Environment (EXR presets, EXR/HDR files and URLs, the generated room)
+  // ─────────────────────────────────────────────
+  // The environment lights the models; the background shows it, another
+  // HDRI (the backdrop), a solid color or a gradient. The environment
+  // rotation turns the lighting and HDRI backgrounds together.
+  function applyEnvironmentTexture(texture) {
+    scene.environment = texture;
+
+    // Dispose previous HDRI
+    if (currentHDRI && currentHDRI !== texture) releaseEnvironmentTexture(currentHDRI);
+    currentHDRI = texture;
+
+    applyEnvironmentToMaterials(modelRoot, true);
+    applyBackground();
+    emit('environmentchange', getEnvironmentState());
+    emit('displaychange', getDisplay());
+  }
+
+  // Materials get the map explicitly so non-PBR ones reflect it too. The
+  // originals swapped out by a view mode are kept in sync as well, while
+  // the debug materials of unlit views stay without reflections.
+  // `rebuild` is needed when the map itself changes (shader defines).
+  function applyEnvironmentToMaterials(root, rebuild) {
+    root.traverse((child) => {
+      if (!child.isMesh || !child.material) return;
+      [].concat(child.material, originalMaterials.get(child.uuid) || []).forEach((material) => {
+        if (!('envMap' in material)) return;
+        const { viewMode } = material.userData;
+        if (viewMode && !VIEW_MODES[viewMode].environment) return;
+        if (rebuild) {
+          material.envMap = currentHDRI;
+          material.needsUpdate = true;
+        }
+        material.envMapIntensity = environmentIntensity;
+        if (material.envMapRotation) material.envMapRotation.y = environmentRotation;
+      });
+    });
+  }
+
+  // A studio room rendered by three.js itself, so there is always some
+  // image-based lighting even without network access. Kept until dispose().
+  function getGeneratedEnvironment() {
+    if (!generatedEnvironment) {
+      const pmrem = new THREE.PMREMGenerator(renderer);
+      const room = new RoomEnvironment(renderer);
+      generatedEnvironment = pmrem.fromScene(room, 0.04);
+      room.dispose();
+      pmrem.dispose();
+    }
+    return generatedEnvironment.texture;
+  }
+
+  function isGeneratedEnvironment(texture) {
+    return !!generatedEnvironment && texture === generatedEnvironment.texture;
+  }
+
+  function releaseEnvironmentTexture(texture) {
+    if (!isGeneratedEnvironment(texture)) texture.dispose();
+  }
+
+  // Loads an ENV_PRESETS key, an EXR/HDR File or URL, reporting progress
+  // as `kind`. Resolves to { texture, name, key }, with `error` instead of
+  // `texture` if it failed.
+  function loadEnvironmentSource(source, kind) {
+    const preset = typeof source === 'string' ? ENV_PRESETS[source] : null;
+    const isFile = source instanceof File;
+    const url = preset ? preset.url : (isFile ? URL.createObjectURL(source) : source);
+    const name = preset ? preset.label : (isFile ? source.name : url.split('/').pop());
+    const key = preset ? source : null;
+
+    emit('loadstart', { kind, name });
+    if (preset && !preset.url) return Promise.resolve({ texture: getGeneratedEnvironment(), name, key });
+
+    const EnvironmentLoader = ENVIRONMENT_LOADERS[getFileExtension(name)] || EXRLoader;
+    return new Promise((resolve) => {
+      new EnvironmentLoader().load(
+        url,
+        (texture) => {
+          texture.mapping = THREE.EquirectangularReflectionMapping;
+          if (isFile) URL.revokeObjectURL(url);
+          resolve({ texture, name, key });
+        },
+        (progress) => {
+          if (progress.total > 0) {
+            emit('progress', { kind, name, loaded: progress.loaded, total: progress.total });
+          }
+        },
+        (error) => {
+          if (isFile) URL.revokeObjectURL(url);
+          resolve({ error, name, key });
+        }
+      );
+    });
+  }
+
+  // `source` is an ENV_PRESETS key, an EXR/HDR File or URL. A preset that
+  // fails to download is replaced by the generated room and reported with
+  // `fallback: true`; the requested key is kept so shared views still name it.
+  // Resolves to true once the environment is applied, false if it failed.
+  function setEnvironment(source) {
+    return loadEnvironmentSource(source, 'environment').then(({ texture, error, name, key }) => {
+      if (texture) {
+        currentEnvironmentKey = key;
+        environmentFallback = false;
+        applyEnvironmentTexture(texture);
+        console.log(`Environment loaded: ${name}`);
+        emit('load', { kind: 'environment', name, key });
+        return true;
+      }
+
+      console.warn(`Could not load environment (${name}):`, error);
+      if (key) {
+        // Most likely offline: light the scene with the generated room
+        currentEnvironmentKey = key;
+        environmentFallback = true;
+        applyEnvironmentTexture(getGeneratedEnvironment());
+        console.warn(`Using the generated studio environment instead of ${name}`);
+      }
+      emit('error', { kind: 'environment', name, key, error, fallback: !!key });
+      return false;
+    });
+  }
+
+  // rotation in degrees around the vertical axis, intensity of the
+  // image-based lighting on the model materials
+  function setEnvironmentSettings({ rotation, intensity } = {}) {
+    if (Number.isFinite(rotation)) environmentRotation = THREE.MathUtils.degToRad(rotation);
+    if (Number.isFinite(intensity)) environmentIntensity = Math.max(0, intensity);
+
+    scene.environmentRotation.y = environmentRotation;
+    scene.backgroundRotation.y = environmentRotation;
+    applyEnvironmentToMaterials(modelRoot, false);
+    emit('environmentchange', getEnvironmentState());
+  }
+
+  // Shows another HDRI (ENV_PRESETS key, EXR/HDR File or URL) behind the
+  // models while the environment keeps lighting them. Resolves to true once
+  // it is the background.
+  function setBackdrop(source) {
+    return loadEnvironmentSource(source, 'backdrop').then(({ texture, error, name, key }) => {
+      if (!texture) {
+        console.warn(`Could not load backdrop (${name}):`, error);
+        emit('error', { kind: 'backdrop', name, key, error });
+        return false;
+      }
+
+      if (backdropTexture && backdropTexture !== texture) releaseEnvironmentTexture(backdropTexture);
+      backdropTexture = texture;
+      backdropKey = key;
+      backdropName = name;
+      emit('load', { kind: 'backdrop', name, key });
+      setBackground({ mode: 'backdrop' });
+      return true;
+    });
+  }
+
+  // changes: any of { mode, color, gradient: [top, bottom], blur (0-1) }.
+  // The backdrop image itself is chosen with setBackdrop().
+  function setBackground(changes = {}) {
+    if (BACKGROUND_MODES.includes(changes.mode)) background.mode = changes.mode;
+    if (HEX_COLOR_PATTERN.test(changes.color)) background.color = changes.color;
+    if (Array.isArray(changes.gradient) && changes.gradient.length === 2 && changes.gradient.every((color) => HEX_COLOR_PATTERN.test(color))) {
+      background.gradient = [...changes.gradient];
+    }
+    if (Number.isFinite(changes.blur)) background.blur = THREE.MathUtils.clamp(changes.blur, 0, 1);
+
+    applyBackground();
+    emit('environmentchange', getEnvironmentState());
+    emit('displaychange', getDisplay());
+  }
+
+  // HDRI modes fall back to the solid color while there is no image
+  function applyBackground() {
+    if (gradientTexture) {
+      gradientTexture.dispose();
+      gradientTexture = null;
+    }
+
+    const image = background.mode === 'backdrop' ? backdropTexture || currentHDRI : currentHDRI;
+    if (background.mode === 'gradient') {
+      gradientTexture = createGradientTexture(background.gradient);
+      scene.background = gradientTexture;
+    } else if ((background.mode === 'environment' || background.mode === 'backdrop') && image) {
+      scene.background = image;
+    } else {
+      scene.background = new THREE.Color(background.color);
+    }
+    scene.backgroundBlurriness = background.blur;
+  }
+
+  // Screen-space vertical gradient, top color first
+  function createGradientTexture([top, bottom]) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 2;
+    canvas.height = 256;
+    const context = canvas.getContext('2d');
+    const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, top);
+    gradient.addColorStop(1, bottom);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  }
+
+  function getEnvironmentState() {
+    return {
+      key: currentEnvironmentKey,
+      fallback: environmentFallback,
+      rotation: roundValue(THREE.MathUtils.radToDeg(environmentRotation)),
+      intensity: environmentIntensity,
+      background: {
+        ...background,
+        gradient: [...background.gradient],
+        backdrop: backdropKey,
+        backdropName
+      }
+    };
+  }
+
+  function setExposure(value) {
+    renderer.toneMappingExposure = value;
+  }
+
+  // ─────────────────────────────────────────────
+  // Post-Processing (tone mapping & effects, see postprocessing.js)
+  // ─────────────────────────────────────────────
+  // Accepts any subset of the keys of getPostProcessing():
+  // { toneMapping, antialias, ssao, bloom, dof, vignette }
+  function setPostProcessing(changes) {
+    postProcessing.update(changes);
+    emit('postprocessingchange', getPostProcessing());
+  }
+
+  function getPostProcessing() {
+    return { ...postProcessing.getSettings(), focusPicking };
+  }
+
+  // While enabled the next click on a model sets the depth of field focus
+  function setFocusPicking(enabled) {
+    focusPicking = !!enabled;
+    if (focusPicking) {
+      setMeasureMode(null);
+      setAnnotateMode(false);
+      select(null);
+    }
+    emit('postprocessingchange', getPostProcessing());
+  }
+
+  // ─────────────────────────────────────────────
+  // Display Options
+  // ─────────────────────────────────────────────
+  function getDisplay() {
+    const viewMode = currentRecord ? currentRecord.display.viewMode : 'lit';
+    return {
+      grid: gridHelper.visible,
+      axes: axesHelper.visible,
+      hdriBackground: background.mode === 'environment',
+      autoRotate,
+      viewMode,
+      // Older boolean forms of the two original view modes
+      hologram: viewMode === 'hologram',
+      wireframe: viewMode === 'wireframe'
+    };
+  }
+
+  // Accepts any subset of the keys returned by getDisplay(). The view mode
+  // applies to the active model, or to every model with `allModels`, and
+  // is recorded in the edit history.
+  function setDisplay(changes, { allModels = false } = {}) {
+    const targets = allModels ? [...models] : (currentRecord ? [currentRecord] : []);
+    const before = targets.map((record) => ({ ...record.display }));
+    applyDisplay(changes, targets);
+    const after = targets.map((record) => ({ ...record.display }));
+    if (!targets.some((record, i) => before[i].viewMode !== after[i].viewMode)) return;
+
+    const restore = (values) => {
+      targets.forEach((record, i) => setRecordDisplay(record, values[i]));
+      emit('displaychange', getDisplay());
+    };
+    const label = `Vista: ${VIEW_MODES[after[0].viewMode].label}`;
+    editHistory.push({
+      label: targets.length > 1 ? `${label} (todos los modelos)` : label,
+      undo: () => restore(before),
+      redo: () => restore(after)
+    });
+  }
+
+  function applyDisplay(changes, targets = currentRecord ? [currentRecord] : []) {
+    if ('grid' in changes) gridHelper.visible = !!changes.grid;
+    if ('axes' in changes) axesHelper.visible = !!changes.axes;
+    if ('autoRotate' in changes) autoRotate = !!changes.autoRotate;
+    if ('hdriBackground' in changes) {
+      if (changes.hdriBackground) background.mode = 'environment';
+      else if (background.mode === 'environment') background.mode = 'color';
+      applyBackground();
+      emit('environmentchange', getEnvironmentState());
+    }
+    targets.forEach((record) => setRecordDisplay(record, changes));
+    emit('displaychange', getDisplay());
+  }
+
+  // Applies the view mode keys of `changes` to one model
+  function setRecordDisplay(record, changes) {
+    const viewMode = getRequestedViewMode(changes, record.display.viewMode);
+    if (viewMode === record.display.viewMode) return;
+    record.display.viewMode = viewMode;
+    applyViewMode(record, viewMode);
+  }
+
+  // `viewMode` wins; the older hologram / wireframe booleans (saved views,
+  // links) switch their mode on, or back to lit when it was the current one
+  function getRequestedViewMode(changes, current) {
+    if (VIEW_MODES[changes.viewMode]) return changes.viewMode;
+    let viewMode = current;
+    for (const key of ['hologram', 'wireframe']) {
+      if (!(key in changes)) continue;
+      if (changes[key]) return key;
+      if (viewMode === key) viewMode = 'lit';
+    }
+    return viewMode;
+  }
+
+  function setTransformMode(mode) {
+    transformControls.setMode(mode);
+    emit('transformchange', getTransformState());
+  }
+
+  // ─────────────────────────────────────────────
+  // Camera Framing
+  // ─────────────────────────────────────────────
+  // Center of `object` and the camera distance that fits it in view
+  function getFraming(object) {
+    const box = new THREE.Box3().setFromObject(object);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const maxDim = Math.max(size.x, size.y, size.z);
+    const fov = perspectiveCamera.fov * (Math.PI / 180);
+    let distance = Math.abs(maxDim / (2 * Math.tan(fov / 2)));
+    distance *= 1.2; // Close-up margin
+    return { center, distance };
+  }
+
+  function frame(object = currentModel) {
+    if (!object) return;
+    const { center, distance } = getFraming(object);
+
+    cameraTransition = null;
+    camera.position.set(center.x + distance * 0.4, center.y + distance * 0.25, center.z + distance * 0.9);
+    camera.zoom = 1;
+    orbitControls.target.copy(center);
+    orbitControls.update();
+    updateCameraProjection();
+  }
+
+  // Frames every model in the scene
+  function frameAll() {
+    if (models.length > 0) frame(modelRoot);
+  }
+
+  function resetCamera() {
+    if (models.length > 0) {
+      frameAll();
+    } else {
+      cameraTransition = null;
+      camera.position.set(3, 2, 5);
+      camera.zoom = 1;
+      orbitControls.target.set(0, 0, 0);
+      orbitControls.update();
+      updateCameraProjection();
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Projection, Standard Views & Bookmarks
+  // ─────────────────────────────────────────────
+  // The orthographic frustum is sized to what the perspective camera would
+  // see at the target distance, so switching projection keeps the framing.
+  // Orbit zoom then changes `zoom` instead of moving the camera.
+  function updateCameraProjection(aspect = getContainerAspect()) {
+    if (camera.isOrthographicCamera) {
+      const fov = THREE.MathUtils.degToRad(perspectiveCamera.fov);
+      const halfHeight = camera.position.distanceTo(orbitControls.target) * Math.tan(fov / 2);
+      camera.top = halfHeight;
+      camera.bottom = -halfHeight;
+      camera.left = -halfHeight * aspect;
+      camera.right = halfHeight * aspect;
+    } else {
+      camera.aspect = aspect;
+    }
+    camera.updateProjectionMatrix();
+  }
+
+  // projection: 'perspective' | 'orthographic'
+  function setProjection(projection) {
+    const next = projection === 'orthographic' ? orthographicCamera : perspectiveCamera;
+    if (next === camera) return;
+    cameraTransition = null;
+
+    // Leaving orthographic, the zoom becomes distance again
+    const offset = camera.position.clone().sub(orbitControls.target).divideScalar(camera.zoom);
+    next.position.copy(orbitControls.target).add(offset);
+    next.quaternion.copy(camera.quaternion);
+    next.zoom = 1;
+
+    camera = next;
+    orbitControls.object = camera;
+    transformControls.camera = camera;
+    sectionControls.camera = camera;
+    lightControls.camera = camera;
+    orbitControls.update();
+    updateCameraProjection();
+    emit('camerachange', getCameraState());
+  }
+
+  // Changes the field of view while moving the camera so the target keeps
+  // its on-screen size (a dolly zoom)
+  function setFieldOfView(fov) {
+    const clamped = THREE.MathUtils.clamp(fov, FOV_LIMITS.min, FOV_LIMITS.max);
+    const halfTan = (degrees) => Math.tan(THREE.MathUtils.degToRad(degrees) / 2);
+    const offset = camera.position.clone().sub(orbitControls.target)
+      .multiplyScalar(halfTan(perspectiveCamera.fov) / halfTan(clamped));
+
+    cameraTransition = null;
+    perspectiveCamera.fov = clamped;
+    camera.position.copy(orbitControls.target).add(offset);
+    orbitControls.update();
+    updateCameraProjection();
+    emit('camerachange', getCameraState());
+  }
+
+  // view: a STANDARD_VIEWS key. Looks at the models (or the orbit target)
+  // from that side at framing distance.
+  function setStandardView(view, { animate = true } = {}) {
+    const direction = STANDARD_VIEWS[view];
+    if (!direction) return;
+
+    const { center, distance } = models.length > 0
+      ? getFraming(modelRoot)
+      : { center: orbitControls.target.clone(), distance: camera.position.distanceTo(orbitControls.target) };
+    moveCamera({
+      position: new THREE.Vector3().fromArray(direction).multiplyScalar(distance).add(center),
+      target: center,
+      zoom: 1,
+      fov: perspectiveCamera.fov
+    }, animate ? CAMERA_TRANSITION_DURATION : 0);
+  }
+
+  // Moves to { position, target, zoom, fov }, orbiting around the target
+  // rather than cutting straight through it
+  function moveCamera(to, duration = CAMERA_TRANSITION_DURATION) {
+    cameraTransition = {
+      from: {
+        position: camera.position.clone(),
+        target: orbitControls.target.clone(),
+        zoom: camera.zoom,
+        fov: perspectiveCamera.fov
+      },
+      to,
+      start: performance.now(),
+      duration: duration * 1000
+    };
+    updateCameraTransition();
+  }
+
+  function updateCameraTransition() {
+    if (!cameraTransition) return;
+    const { from, to, start, duration } = cameraTransition;
+    const t = duration > 0 ? Math.min(1, (performance.now() - start) / duration) : 1;
+    const k = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; // ease in-out cubic
+
+    const fromOffset = from.position.clone().sub(from.target);
+    const toOffset = to.position.clone().sub(to.target);
+    const turn = new THREE.Quaternion().slerp(
+      new THREE.Quaternion().setFromUnitVectors(fromOffset.clone().normalize(), toOffset.clone().normalize()),
+      k
+    );
+    const radius = THREE.MathUtils.lerp(fromOffset.length(), toOffset.length(), k);
+
+    orbitControls.target.lerpVectors(from.target, to.target, k);
+    camera.position.copy(fromOffset.normalize().applyQuaternion(turn).multiplyScalar(radius)).add(orbitControls.target);
+    camera.zoom = THREE.MathUtils.lerp(from.zoom, to.zoom, k);
+    perspectiveCamera.fov = THREE.MathUtils.lerp(from.fov, to.fov, k);
+    updateCameraProjection();
+
+    if (t === 1) {
+      cameraTransition = null;
+      emit('camerachange', getCameraState());
+    }
+  }
+
+  function getCameraSnapshot() {
+    return {
+      projection: camera.isOrthographicCamera ? 'orthographic' : 'perspective',
+      position: vectorToArray(camera.position),
+      target: vectorToArray(orbitControls.target),
+      fov: roundValue(perspectiveCamera.fov),
+      zoom: roundValue(camera.zoom)
+    };
+  }
+
+  // Bookmarks are part of the view state, so they travel with scene files
+  function addCameraBookmark(name) {
+    cameraBookmarks.push({ name: name || `Vista ${cameraBookmarks.length + 1}`, ...getCameraSnapshot() });
+    emit('camerachange', getCameraState());
+    return cameraBookmarks.length - 1;
+  }
+
+  function removeCameraBookmark(index) {
+    if (!cameraBookmarks[index]) return;
+    cameraBookmarks.splice(index, 1);
+    emit('camerachange', getCameraState());
+  }
+
+  function goToCameraBookmark(index, { animate = true } = {}) {
+    const bookmark = cameraBookmarks[index];
+    if (!bookmark) return;
+    setProjection(bookmark.projection);
+    moveCamera({
+      position: new THREE.Vector3().fromArray(bookmark.position),
+      target: new THREE.Vector3().fromArray(bookmark.target),
+      zoom: bookmark.zoom,
+      fov: bookmark.fov
+    }, animate ? CAMERA_TRANSITION_DURATION : 0);
+  }
+
+  function getCameraState() {
+    return {
+      projection: camera.isOrthographicCamera ? 'orthographic' : 'perspective',
+      fov: perspectiveCamera.fov,
+      bookmarks: cameraBookmarks.map(({ name, projection }) => ({ name, projection }))
+    };
+  }
+
+  function resetModelTransform() {
+    if (!currentModel || !modelInitialTransform) return;
+    const model = currentModel;
+    const before = getTransformSnapshot(model);
+    model.position.copy(modelInitialTransform.position);
+    model.rotation.copy(modelInitialTransform.rotation);
+    model.scale.copy(modelInitialTransform.scale);
+    const after = getTransformSnapshot(model);
+    const spin = setModelSpin(model, 0);
+
+    if (!transformSnapshotsEqual(before, after)) {
+      editHistory.push({
+        label: `Restablecer ${model.name}`,
+        undo: () => {
+          applyTransformSnapshot(model, before);
+          setModelSpin(model, spin);
+        },
+        redo: () => {
+          applyTransformSnapshot(model, after);
+          setModelSpin(model, 0);
+        }
+      });
+    }
+  }
+
+  // Auto-rotate turns model roots only. Setting the orientation of one
+  // makes all of its current rotation the user's; returns the old spin so
+  // undo can put it back.
+  function setModelSpin(object, spin) {
+    const record = models.find((candidate) => candidate.model === object);
+    if (!record) return 0;
+    const previous = record.spin;
+    record.spin = spin;
+    return previous;
+  }
+
+  // ─────────────────────────────────────────────
+  // Selection & Canvas Picking
+  // ─────────────────────────────────────────────
+  // Selects any node of a loaded model (or nothing) and retargets the gizmo.
+  // Selecting inside another model makes that one the active model.
+  function select(object) {
+    if (selectionHelper) {
+      scene.remove(selectionHelper);
+      selectionHelper.dispose();
+      selectionHelper = null;
+    }
+
+    selectedObject = object || null;
+
+    if (selectedObject) {
+      // Only one gizmo is shown at a time
+      if (sectionEditing !== null) editSectionPlane(null);
+      if (lightEditing !== null) editLight(null);
+      transformControls.attach(selectedObject);
+      selectionHelper = new THREE.BoxHelper(selectedObject, 0xe94560);
+      selectionHelper.name = '__selection__';
+      scene.add(selectionHelper);
+    } else {
+      transformControls.detach();
+    }
+    emit('transformchange', getTransformState());
+
+    const record = getRecordOf(selectedObject);
+    if (record && record !== currentRecord) {
+      setActiveRecord(record);
+      emitModelChange();
+    }
+
+    emit('selectionchange', { object: selectedObject });
+    emit('materialchange', getMaterialState());
+  }
+
+  function setupPicking() {
+    const canvas = renderer.domElement;
+    const downPosition = new THREE.Vector2();
+
+    canvas.addEventListener('pointerdown', (e) => {
+      downPosition.set(e.clientX, e.clientY);
+    });
+
+    canvas.addEventListener('pointerup', (e) => {
+      // Ignore orbit drags and clicks on the transform gizmo
+      if (e.button !== 0 || transformControls.dragging || transformControls.axis !== null) return;
+      if (sectionControls.dragging || sectionControls.axis !== null) return;
+      if (lightControls.dragging || lightControls.axis !== null) return;
+      if (downPosition.distanceTo(new THREE.Vector2(e.clientX, e.clientY)) > CLICK_MOVE_TOLERANCE) return;
+
+      // In measure and annotate modes clicks place points instead of selecting
+      if (measureMode) {
+        addMeasurePoint(e.clientX, e.clientY);
+      } else if (annotateMode) {
+        const hit = pickSurface(e.clientX, e.clientY);
+        if (hit) addAnnotation(hit.object, hit.point);
+      } else if (focusPicking) {
+        const hit = pickSurface(e.clientX, e.clientY);
+        if (!hit) return;
+        focusPicking = false;
+        setPostProcessing({ dof: { focusPoint: vectorToArray(hit.point) } });
+      } else {
+        select(pickObject(e.clientX, e.clientY));
+      }
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (measureMode) updateMeasureCursor(e.clientX, e.clientY);
+    });
+  }
+
+  function pickObject(clientX, clientY) {
+    const hit = pickSurface(clientX, clientY);
+    return hit ? hit.object : null;
+  }
+
+  // Closest visible intersection with the models under the pointer
+  function pickSurface(clientX, clientY) {
+    if (models.length === 0) return null;
+
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointerNDC.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointerNDC, camera);
+
+    return findVisibleHit(raycaster.intersectObject(modelRoot, true));
+  }
+
+  // The raycaster does not skip hidden or clipped-away geometry on its own
+  function findVisibleHit(hits) {
+    return hits.find((h) => isObjectVisible(h.object) && !isClippedAway(h.point)) || null;
+  }
+
+  function isClippedAway(point) {
+    return clippingPlanes.some((plane) => plane.distanceToPoint(point) < 0);
+  }
+
+  // ─────────────────────────────────────────────
+  // Measurement Tools
+  // ─────────────────────────────────────────────
+  // Points are stored in the local space of the node they were placed on, so
+  // the overlays follow the model while it rotates or animates. Lengths are
+  // divided by the auto-fit factor of the model the measurement started on,
+  // to report the file's own units.
+
+  // mode: 'distance' | 'angle' | null
+  function setMeasureMode(mode) {
+    measureMode = MEASURE_POINT_COUNTS[mode] ? mode : null;
+    discardPendingMeasurement();
+    measureCursor.visible = false;
+
+    // The gizmo would otherwise catch clicks meant for the surface
+    if (measureMode) select(null);
+    if (measureMode && focusPicking) setFocusPicking(false);
+    if (measureMode && annotateMode) setAnnotateMode(false);
+    emit('measurechange', getMeasureState());
+  }
+
+  function setUnits(unit) {
+    if (!LENGTH_UNITS[unit]) return;
+    measureUnit = unit;
+    emit('measurechange', getMeasureState());
+  }
+
+  function getLengthScale(record = currentRecord) {
+    return record ? record.initialTransform.fitScale : 1;
+  }
+
+  function addMeasurePoint(clientX, clientY) {
+    const hit = pickSurface(clientX, clientY);
+    if (!hit) return;
+
+    const point = snapToVertex(hit, clientX, clientY);
+    if (!pendingMeasurement) {
+      pendingMeasurement = createMeasurement(measureMode, getLengthScale(getRecordOf(hit.object)));
+    }
+    pendingMeasurement.points.push({ object: hit.object, local: hit.object.worldToLocal(point) });
+
+    if (pendingMeasurement.points.length === MEASURE_POINT_COUNTS[pendingMeasurement.type]) {
+      measurements.push(pendingMeasurement);
+      pendingMeasurement = null;
+    }
+    emit('measurechange', getMeasureState());
+  }
+
+  // Snaps to the closest corner of the hit triangle when it is within a few
+  // pixels of the pointer, otherwise keeps the exact surface point
+  function snapToVertex(hit, clientX, clientY) {
+    if (!hit.face || !hit.object.isMesh) return hit.point.clone();
+
+    const rect = renderer.domElement.getBoundingClientRect();
+    let snapped = hit.point.clone();
+    let closest = MEASURE_SNAP_DISTANCE;
+
+    [hit.face.a, hit.face.b, hit.face.c].forEach((index) => {
+      const vertex = hit.object.localToWorld(hit.object.getVertexPosition(index, new THREE.Vector3()));
+      const screen = vertex.clone().project(camera);
+      const distance = Math.hypot(
+        rect.left + ((screen.x + 1) / 2) * rect.width - clientX,
+        rect.top + ((1 - screen.y) / 2) * rect.height - clientY
+      );
+      if (distance < closest) {
+        closest = distance;
+        snapped = vertex;
+      }
+    });
+    return snapped;
+  }
+
+  function updateMeasureCursor(clientX, clientY) {
+    const hit = pickSurface(clientX, clientY);
+    measureCursor.visible = !!hit;
+    if (hit) measureCursor.position.copy(snapToVertex(hit, clientX, clientY));
+  }
+
+  function createMeasurement(type, lengthScale) {
+    // Line and markers share one preallocated geometry of up to 3 points
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(9), 3));
+
+    const line = new THREE.Line(geometry, measureLineMaterial);
+    const markers = new THREE.Points(geometry, measureMarkerMaterial);
+    [line, markers].forEach((object) => {
+      object.frustumCulled = false;
+      object.renderOrder = 999;
+    });
+
+    const element = document.createElement('div');
+    element.className = 'gabo-measure-label';
+    Object.assign(element.style, MEASURE_LABEL_STYLE);
+    const label = new CSS2DObject(element);
+    label.visible = false;
+
+    const group = new THREE.Group();
+    group.add(line, markers, label);
+    measurementGroup.add(group);
+
+    return { type, lengthScale, points: [], group, geometry, label };
+  }
+
+  function disposeMeasurement(measurement) {
+    // CSS2DObject only removes its element when it is itself removed
+    measurement.label.removeFromParent();
+    measurementGroup.remove(measurement.group);
+    measurement.geometry.dispose();
+  }
+
+  function discardPendingMeasurement() {
+    if (!pendingMeasurement) return;
+    disposeMeasurement(pendingMeasurement);
+    pendingMeasurement = null;
+  }
+
+  function removeMeasurement(index) {
+    const [measurement] = measurements.splice(index, 1);
+    if (!measurement) return;
+    disposeMeasurement(measurement);
+    emit('measurechange', getMeasureState());
+  }
+
+  // Takes the measurements with a point on `model` out of the scene (the
+  // model is leaving it) and returns them with their list positions, for
+  // restoreMeasurements() to bring back
+  function takeMeasurementsOn(model) {
+    const isOnModel = (measurement) => measurement.points.some(({ object }) => isInside(object, model));
+    const taken = [];
+    measurements.forEach((measurement, index) => {
+      if (isOnModel(measurement)) taken.push({ measurement, index });
+    });
+    const pending = pendingMeasurement && isOnModel(pendingMeasurement);
+    if (taken.length === 0 && !pending) return [];
+
+    if (pending) discardPendingMeasurement();
+    taken.forEach(({ measurement }) => {
+      measurement.label.removeFromParent();
+      measurementGroup.remove(measurement.group);
+    });
+    measurements = measurements.filter((measurement) => !isOnModel(measurement));
+    emit('measurechange', getMeasureState());
+    return taken;
+  }
+
+  // Puts measurements taken by takeMeasurementsOn() back in place. Those
+  // also reaching into a model that is still out of the scene are dropped.
+  function restoreMeasurements(taken) {
+    if (taken.length === 0) return;
+    taken.forEach(({ measurement, index }) => {
+      if (!measurement.points.every(({ object }) => getRecordOf(object))) {
+        disposeMeasurement(measurement);
+        return;
+      }
+      measurement.group.add(measurement.label);
+      measurementGroup.add(measurement.group);
+      measurements.splice(Math.min(index, measurements.length), 0, measurement);
+    });
+    emit('measurechange', getMeasureState());
+  }
+
+  function clearMeasurements() {
+    discardPendingMeasurement();
+    measurements.forEach(disposeMeasurement);
+    measurements = [];
+    emit('measurechange', getMeasureState());
+  }
+
+  function getWorldPoints(measurement) {
+    return measurement.points.map(({ object, local }) => object.localToWorld(local.clone()));
+  }
+
+  // Length in meters or angle in degrees
+  function getMeasurementValue(measurement, worldPoints) {
+    if (measurement.type === 'distance') {
+      return worldPoints[0].distanceTo(worldPoints[1]) / measurement.lengthScale;
+    }
+    const a = worldPoints[0].clone().sub(worldPoints[1]);
+    const b = worldPoints[2].clone().sub(worldPoints[1]);
+    return THREE.MathUtils.radToDeg(a.angleTo(b));
+  }
+
+  function formatMeasurement(type, value) {
+    return type === 'distance' ? formatLength(value, measureUnit) : `${value.toFixed(1)}°`;
+  }
+
+  function updateMeasurementVisuals() {
+    const all = pendingMeasurement ? [...measurements, pendingMeasurement] : measurements;
+    if (all.length === 0) return;
+    modelRoot.updateMatrixWorld(true);
+
+    all.forEach((measurement) => {
+      const world = getWorldPoints(measurement);
+      const positions = measurement.geometry.attributes.position;
+      world.forEach((point, i) => positions.setXYZ(i, point.x, point.y, point.z));
+      positions.needsUpdate = true;
+      measurement.geometry.setDrawRange(0, world.length);
+
+      const complete = world.length === MEASURE_POINT_COUNTS[measurement.type];
+      measurement.label.visible = complete;
+      if (!complete) return;
+
+      measurement.label.position.copy(
+        measurement.type === 'distance' ? world[0].clone().lerp(world[1], 0.5) : world[1]
+      );
+      const text = formatMeasurement(measurement.type, getMeasurementValue(measurement, world));
+      if (measurement.label.element.textContent !== text) measurement.label.element.textContent = text;
+    });
+  }
+
+  function getMeasureState() {
+    return {
+      mode: measureMode,
+      unit: measureUnit,
+      pendingPoints: pendingMeasurement ? pendingMeasurement.points.length : 0,
+      measurements: measurements.map((measurement) => {
+        const value = getMeasurementValue(measurement, getWorldPoints(measurement));
+        return { type: measurement.type, value, label: formatMeasurement(measurement.type, value) };
+      })
+    };
+  }
+
+  // Size of the model's bounds in meters (the file's units after the loader's
+  // own unit conversion), including scaling done with the gizmo but not the
+  // auto-fit applied on load
+  function getDimensions() {
+    if (!currentModel) return null;
+    const size = getLocalBounds(currentModel).getSize(new THREE.Vector3())
+      .multiply(currentModel.scale)
+      .divideScalar(getLengthScale());
+    return {
+      x: Math.abs(size.x),
+      y: Math.abs(size.y),
+      z: Math.abs(size.z),
+      fitScale: getLengthScale()
+    };
+  }
+
+  // ─────────────────────────────────────────────
+  // Annotations (numbered pins on the model surface)
+  // ─────────────────────────────────────────────
+  // Like measurement points, a pin is stored in the local space of the node
+  // it was dropped on, so it follows gizmo moves and animations. Its saved
+  // viewpoint is kept in the model's local space for the same reason.
+
+  function setAnnotateMode(enabled) {
+    if (annotateMode === !!enabled) return;
+    annotateMode = !!enabled;
+    if (annotateMode) {
+      select(null);
+      setMeasureMode(null);
+      if (focusPicking) setFocusPicking(false);
+    }
+    emit('annotationchange', getAnnotationState());
+  }
+
+  // Pins `worldPoint` on `object` (a node of a loaded model) with the current
+  // camera as its viewpoint. Returns the new annotation's id.
+  function addAnnotation(object, worldPoint, { title, text = '' } = {}) {
+    const record = getRecordOf(object);
+    if (!record) return null;
+
+    const annotation = {
+      id: nextAnnotationId++,
+      title: title || `Anotación ${annotations.length + 1}`,
+      text,
+      object,
+      local: object.worldToLocal(worldPoint.clone()),
+      view: null,
+      label: createAnnotationLabel()
+    };
+    annotation.view = getAnnotationView(record.model);
+    annotation.label.element.addEventListener('click', () => {
+      if (activeAnnotation === annotation.id) setActiveAnnotation(null);
+      else goToAnnotation(annotation.id);
+    });
+    annotations.push(annotation);
+    annotationGroup.add(annotation.label);
+    refreshAnnotationLabels();
+    emit('annotationchange', getAnnotationState());
+    return annotation.id;
+  }
+
+  function createAnnotationLabel() {
+    const element = document.createElement('div');
+    element.className = 'gabo-annotation';
+    Object.assign(element.style, ANNOTATION_PIN_STYLE);
+
+    const number = document.createElement('span');
+    const card = document.createElement('div');
+    Object.assign(card.style, ANNOTATION_CARD_STYLE);
+    const title = document.createElement('strong');
+    const text = document.createElement('div');
+    card.append(title, text);
+    element.append(number, card);
+
+    const label = new CSS2DObject(element);
+    label.userData.parts = { number, card, title, text };
+    return label;
+  }
+
+  // Camera position and target in the local space of `model`
+  function getAnnotationView(model) {
+    model.updateWorldMatrix(true, false);
+    return {
+      ...getCameraSnapshot(),
+      position: vectorToArray(model.worldToLocal(camera.position.clone())),
+      target: vectorToArray(model.worldToLocal(orbitControls.target.clone()))
+    };
+  }
+
+  function getAnnotation(id) {
+    return annotations.find((annotation) => annotation.id === id) || null;
+  }
+
+  // Accepts any subset of { title, text }
+  function updateAnnotation(id, changes = {}) {
+    const annotation = getAnnotation(id);
+    if (!annotation) return;
+    if (typeof changes.title === 'string') annotation.title = changes.title;
+    if (typeof changes.text === 'string') annotation.text = changes.text;
+    refreshAnnotationLabels();
+    emit('annotationchange', getAnnotationState());
+  }
+
+  // Replaces the saved viewpoint of annotation `id` with the current camera
+  function setAnnotationView(id) {
+    const annotation = getAnnotation(id);
+    const record = annotation && getRecordOf(annotation.object);
+    if (!record) return;
+    annotation.view = getAnnotationView(record.model);
+    emit('annotationchange', getAnnotationState());
+  }
+
+  // Flies to the viewpoint of annotation `id` and opens its card
+  function goToAnnotation(id, { animate = true } = {}) {
+    const annotation = getAnnotation(id);
+    const record = annotation && getRecordOf(annotation.object);
+    if (!record) return;
+
+    setActiveAnnotation(id);
+    const { view } = annotation;
+    record.model.updateWorldMatrix(true, false);
+    setProjection(view.projection);
+    moveCamera({
+      position: record.model.localToWorld(new THREE.Vector3().fromArray(view.position)),
+      target: record.model.localToWorld(new THREE.Vector3().fromArray(view.target)),
+      zoom: view.zoom,
+      fov: view.fov
+    }, animate ? CAMERA_TRANSITION_DURATION : 0);
+  }
+
+  // Opens the card of annotation `id` (null closes it)
+  function setActiveAnnotation(id) {
+    activeAnnotation = getAnnotation(id) ? id : null;
+    refreshAnnotationLabels();
+    emit('annotationchange', getAnnotationState());
+  }
+
+  function disposeAnnotation(annotation) {
+    // CSS2DObject only removes its element when it is itself removed
+    annotation.label.removeFromParent();
+  }
+
+  function removeAnnotation(id) {
+    const annotation = getAnnotation(id);
+    if (!annotation) return;
+    disposeAnnotation(annotation);
+    annotations = annotations.filter((entry) => entry !== annotation);
+    if (activeAnnotation === id) activeAnnotation = null;
+    refreshAnnotationLabels();
+    emit('annotationchange', getAnnotationState());
+  }
+
+  // Takes the annotations pinned on `model` out of the scene (the model is
+  // leaving it) and returns them with their list positions, for
+  // restoreAnnotations() to bring back
+  function takeAnnotationsOn(model) {
+    const taken = [];
+    annotations.forEach((annotation, index) => {
+      if (isInside(annotation.object, model)) taken.push({ annotation, index });
+    });
+    if (taken.length === 0) return [];
+
+    taken.forEach(({ annotation }) => disposeAnnotation(annotation));
+    annotations = annotations.filter((annotation) => !isInside(annotation.object, model));
+    if (!getAnnotation(activeAnnotation)) activeAnnotation = null;
+    refreshAnnotationLabels();
+    emit('annotationchange', getAnnotationState());
+    return taken;
+  }
+
+  function restoreAnnotations(taken) {
+    if (taken.length === 0) return;
+    taken.forEach(({ annotation, index }) => {
+      annotationGroup.add(annotation.label);
+      annotations.splice(Math.min(index, annotations.length), 0, annotation);
+    });
+    refreshAnnotationLabels();
+    emit('annotationchange', getAnnotationState());
+  }
+
+  function clearAnnotations() {
+    annotations.forEach(disposeAnnotation);
+    annotations = [];
+    activeAnnotation = null;
+    emit('annotationchange', getAnnotationState());
+  }
+
+  // Pins are numbered in list order, so removing one renumbers the rest
+  function refreshAnnotationLabels() {
+    annotations.forEach((annotation, index) => {
+      const { element, userData: { parts } } = annotation.label;
+      const active = annotation.id === activeAnnotation;
+      parts.number.textContent = index + 1;
+      parts.title.textContent = annotation.title;
+      parts.text.textContent = annotation.text;
+      parts.text.hidden = !annotation.text;
+      parts.card.hidden = !active;
+      element.title = annotation.title;
+      element.style.background = active ? '#ffd166' : ANNOTATION_PIN_STYLE.background;
+      element.style.color = active ? '#1a1a2e' : ANNOTATION_PIN_STYLE.color;
+    });
+  }
+
+  // Follows the anchors, hides pins on hidden or clipped-away geometry and
+  // dims the ones behind the models
+  function updateAnnotations(delta) {
+    if (annotations.length === 0) return;
+    modelRoot.updateMatrixWorld(true);
+
+    annotationOcclusionTimer -= delta;
+    const testOcclusion = annotationOcclusionTimer <= 0;
+    if (testOcclusion) annotationOcclusionTimer = ANNOTATION_OCCLUSION_INTERVAL;
+
+    annotations.forEach(({ object, local, label }) => {
+      label.position.copy(object.localToWorld(local.clone()));
+      label.visible = isObjectVisible(object) && !isClippedAway(label.position);
+      if (label.visible && testOcclusion) {
+        label.element.style.opacity = isPointOccluded(label.position) ? ANNOTATION_OCCLUDED_OPACITY : 1;
+      }
+    });
+  }
+
+  // Casts from the camera through `point`: anything visible clearly in
+  // front of it hides it
+  function isPointOccluded(point) {
+    const ndc = point.clone().project(camera);
+    if (Math.abs(ndc.x) > 1 || Math.abs(ndc.y) > 1) return false;
+
+    raycaster.setFromCamera(pointerNDC.set(ndc.x, ndc.y), camera);
+    const distance = raycaster.ray.origin.distanceTo(point);
+    const hit = findVisibleHit(raycaster.intersectObject(modelRoot, true));
+    return !!hit && hit.distance < distance * 0.99;
+  }
+
+  function getAnnotationState() {
+    return {
+      mode: annotateMode,
+      active: activeAnnotation,
+      annotations: annotations.map(({ id, title, text, object }, index) => ({
+        id,
+        number: index + 1,
+        title,
+        text,
+        model: getRecordOf(object).model.name
+      }))
+    };
+  }
+
+  // Plain object for a JSON file: each pin names its model and the path of
+  // child indices down to its node, so it can be found in a fresh load
+  function exportAnnotations() {
+    return {
+      version: ANNOTATIONS_VERSION,
+      annotations: annotations.map(({ title, text, object, local, view }) => {
+        const record = getRecordOf(object);
+        return {
+          title,
+          text,
+          model: record.model.name,
+          modelIndex: models.indexOf(record),
+          node: getNodePath(record.model, object),
+          point: vectorToArray(local),
+          view: { ...view }
+        };
+      })
+    };
+  }
+
+  // Replaces the annotations with the ones of an exportAnnotations() object.
+  // Pins go to the model of the same name (or position in the list) when
+  // there is one, else to the active model. Returns the number of pins
+  // placed; throws on an unknown format.
+  function importAnnotations(data) {
+    if (!data || data.version !== ANNOTATIONS_VERSION || !Array.isArray(data.annotations)) {
+      throw new Error(`Unsupported annotations version: ${data && data.version}`);
+    }
+
+    clearAnnotations();
+    data.annotations.forEach((entry) => {
+      if (!entry || !isVectorArray(entry.point)) return;
+      const record = models.find((candidate) => candidate.model.name === entry.model)
+        || models[entry.modelIndex]
+        || currentRecord;
+      const object = record && getNodeByPath(record.model, entry.node);
+      if (!object) return;
+
+      object.updateWorldMatrix(true, false);
+      const id = addAnnotation(object, object.localToWorld(new THREE.Vector3().fromArray(entry.point)), {
+        title: typeof entry.title === 'string' ? entry.title : '',
+        text: typeof entry.text === 'string' ? entry.text : ''
+      });
+      const view = entry.view;
+      if (view && isVectorArray(view.position) && isVectorArray(view.target)) {
+        getAnnotation(id).view = {
+          projection: view.projection === 'orthographic' ? 'orthographic' : 'perspective',
+          position: [...view.position],
+          target: [...view.target],
+          fov: Number.isFinite(view.fov) ? view.fov : perspectiveCamera.fov,
+          zoom: Number.isFinite(view.zoom) ? view.zoom : 1
+        };
+      }
+    });
+    emit('annotationchange', getAnnotationState());
+    return annotations.length;
+  }
+
+  // ─────────────────────────────────────────────
+  // Section Planes (clipping with optional caps)
+  // ─────────────────────────────────────────────
+  // Each slot owns a handle the section gizmo drags. The plane's normal is
+  // the handle's local -Y (flipped: +Y), so by default the part on the
+  // positive side of the axis is cut away. Axis-aligned planes only move
+  // along their normal; free planes can also be rotated.
+  //
+  // Caps use the stencil technique: the back faces of the model minus its
+  // front faces mark where a plane cuts through a solid, and a cap quad is
+  // drawn only there. This needs closed meshes; skinned and morphing meshes
+  // are left uncapped since their stencil copies would not deform.
+  function setupSectionPlanes() {
+    sectionGroup = new THREE.Group();
+    sectionGroup.name = '__section__';
+    scene.add(sectionGroup);
+
+    sectionCapGroup = new THREE.Group();
+    sectionCapGroup.name = '__sectionCaps__';
+    scene.add(sectionCapGroup);
+
+    const overlayMaterial = new THREE.MeshBasicMaterial({
+      color: SECTION_PLANE_COLOR,
+      transparent: true,
+      opacity: 0.12,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    const edgeMaterial = new THREE.LineBasicMaterial({ color: SECTION_PLANE_COLOR, transparent: true, opacity: 0.6 });
+    const overlayGeometry = new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2);
+    const edgeGeometry = new THREE.EdgesGeometry(overlayGeometry);
+    const capGeometry = new THREE.PlaneGeometry(1, 1);
+
+    for (let i = 0; i < SECTION_PLANE_COUNT; i++) {
+      const handle = new THREE.Object3D();
+      handle.name = `__sectionPlane${i}__`;
+      handle.visible = false;
+
+      const overlay = new THREE.Mesh(overlayGeometry, overlayMaterial);
+      overlay.add(new THREE.LineSegments(edgeGeometry, edgeMaterial));
+      handle.add(overlay);
+      sectionGroup.add(handle);
+
+      const plane = new THREE.Plane();
+
+      // Drawn after the stencil passes of its own plane, then clears the
+      // stencil buffer for the next plane
+      const cap = new THREE.Mesh(capGeometry, new THREE.MeshStandardMaterial({
+        color: SECTION_CAP_COLOR,
+        metalness: 0.1,
+        roughness: 0.75,
+        side: THREE.DoubleSide,
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: THREE.NotEqualStencilFunc,
+        stencilFail: THREE.ReplaceStencilOp,
+        stencilZFail: THREE.ReplaceStencilOp,
+        stencilZPass: THREE.ReplaceStencilOp
+      }));
+      cap.name = `__sectionCap${i}__`;
+      cap.renderOrder = i + 1.1;
+      cap.visible = false;
+      cap.onAfterRender = (activeRenderer) => activeRenderer.clearStencil();
+      sectionCapGroup.add(cap);
+
+      sectionPlanes.push({
+        enabled: false,
+        orientation: ['y', 'x', 'z'][i],
+        flipped: false,
+        handle,
+        overlay,
+        plane,
+        cap,
+        stencilMaterials: createStencilMaterials(plane),
+        renderOrder: i + 1
+      });
+      setSectionOrientation(sectionPlanes[i], sectionPlanes[i].orientation);
+    }
+
+    sectionControls = new TransformControls(camera, renderer.domElement);
+    sectionControls.setSpace('local');
+    sectionControls.addEventListener('dragging-changed', (event) => {
+      orbitControls.enabled = !event.value;
+      if (!event.value) emit('sectionchange', getSectionState());
+    });
+    sectionControls.addEventListener('objectChange', updateSectionPlanes);
+    scene.add(sectionControls);
+  }
+
+  // Back faces increment and front faces decrement the stencil, so it ends
+  // up non-zero wherever the plane slices through the inside of a mesh
+  function createStencilMaterials(plane) {
+    const base = {
+      depthWrite: false,
+      depthTest: false,
+      colorWrite: false,
+      stencilWrite: true,
+      stencilFunc: THREE.AlwaysStencilFunc,
+      clippingPlanes: [plane]
+    };
+    const operation = (op) => ({ stencilFail: op, stencilZFail: op, stencilZPass: op });
+    return [
+      new THREE.MeshBasicMaterial({ ...base, side: THREE.BackSide, ...operation(THREE.IncrementWrapStencilOp) }),
+      new THREE.MeshBasicMaterial({ ...base, side: THREE.FrontSide, ...operation(THREE.DecrementWrapStencilOp) })
+    ];
+  }
+
+  function setSectionOrientation(slot, orientation) {
+    slot.orientation = orientation;
+    if (orientation === 'free') return;
+    const axis = new THREE.Vector3().setComponent('xyz'.indexOf(orientation), 1);
+    slot.handle.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis);
+  }
+
+  // Places a newly enabled plane through the middle of the models
+  function centerSectionPlane(slot) {
+    const box = new THREE.Box3().setFromObject(modelRoot);
+    if (box.isEmpty()) slot.handle.position.set(0, 0, 0);
+    else box.getCenter(slot.handle.position);
+  }
+
+  // Syncs the THREE.Plane and the cap of every slot with its handle
+  function updateSectionPlanes() {
+    const normal = new THREE.Vector3();
+    sectionPlanes.forEach((slot) => {
+      normal.set(0, slot.flipped ? 1 : -1, 0).applyQuaternion(slot.handle.quaternion);
+      slot.plane.setFromNormalAndCoplanarPoint(normal, slot.handle.position);
+      slot.cap.position.copy(slot.handle.position);
+      slot.cap.lookAt(slot.handle.position.clone().add(normal));
+    });
+  }
+
+  // Rebuilds everything that depends on which planes are enabled
+  function applySectionPlanes() {
+    updateSectionPlanes();
+
+    const enabled = sectionPlanes.filter((slot) => slot.enabled);
+    clippingPlanes.splice(0, clippingPlanes.length, ...enabled.map((slot) => slot.plane));
+
+    // Overlays and caps span the models with some margin
+    const sphere = new THREE.Box3().setFromObject(modelRoot).getBoundingSphere(new THREE.Sphere());
+    const size = sphere.radius > 0 ? sphere.radius * 2.4 : 4;
+
+    sectionPlanes.forEach((slot) => {
+      slot.handle.visible = slot.enabled;
+      slot.overlay.scale.set(size, 1, size);
+      slot.cap.scale.set(size, size, 1);
+      slot.cap.material.clippingPlanes = clippingPlanes.filter((plane) => plane !== slot.plane);
+    });
+
+    applyModelClipping();
+    buildSectionStencils();
+    refreshSectionGizmo();
+  }
+
+  // Called whenever the models' materials change (models added, view modes)
+  function applyModelClipping() {
+    const planes = clippingPlanes.length > 0 ? clippingPlanes : null;
+    wireOverlayMaterial.clippingPlanes = planes;
+    weightOverlays.forEach(({ mesh }) => { mesh.material.clippingPlanes = planes; });
+    modelRoot.traverse((child) => {
+      if (!child.isMesh || !child.material) return;
+      (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+        material.clippingPlanes = planes;
+        material.clipShadows = true;
+      });
+    });
+  }
+
+  function buildSectionStencils() {
+    disposeSectionStencils();
+
+    const enabled = sectionPlanes.filter((slot) => slot.enabled);
+    const capped = sectionCaps && models.length > 0 && enabled.length > 0;
+    sectionPlanes.forEach((slot) => { slot.cap.visible = capped && slot.enabled; });
+    if (!capped) return;
+
+    const sources = [];
+    modelRoot.traverse((child) => {
+      if (child.isMesh && !child.isSkinnedMesh && !child.morphTargetInfluences && child.geometry) sources.push(child);
+    });
+
+    enabled.forEach((slot) => {
+      sources.forEach((source) => {
+        slot.stencilMaterials.forEach((material) => {
+          const mesh = new THREE.Mesh(source.geometry, material);
+          mesh.matrixAutoUpdate = false;
+          mesh.renderOrder = slot.renderOrder;
+          sectionCapGroup.add(mesh);
+          sectionStencils.push({ source, mesh });
+        });
+      });
+    });
+    updateSectionStencils();
+  }
+
+  // Stencil meshes live outside the models and copy their world matrices
+  function updateSectionStencils() {
+    if (sectionStencils.length === 0) return;
+    modelRoot.updateMatrixWorld();
+    sectionStencils.forEach(({ source, mesh }) => {
+      mesh.matrix.copy(source.matrixWorld);
+      mesh.visible = isObjectVisible(source);
+    });
+  }
+
+  function disposeSectionStencils() {
+    // The geometries belong to the model
+    sectionStencils.forEach(({ mesh }) => sectionCapGroup.remove(mesh));
+    sectionStencils = [];
+  }
+
+  function refreshSectionGizmo() {
+    const slot = sectionPlanes[sectionEditing];
+    if (!slot || !slot.enabled) {
+      sectionEditing = null;
+      sectionControls.detach();
+      return;
+    }
+
+    const rotate = sectionGizmoMode === 'rotate' && slot.orientation === 'free';
+    sectionControls.setMode(rotate ? 'rotate' : 'translate');
+    sectionControls.showX = rotate;
+    sectionControls.showY = !rotate;
+    sectionControls.showZ = rotate;
+    sectionControls.attach(slot.handle);
+  }
+
+  // changes: { enabled, orientation: 'x' | 'y' | 'z' | 'free', flipped }
+  function setSectionPlane(index, changes) {
+    const slot = sectionPlanes[index];
+    if (!slot) return;
+
+    if (SECTION_ORIENTATIONS[changes.orientation]) setSectionOrientation(slot, changes.orientation);
+    if ('flipped' in changes) slot.flipped = !!changes.flipped;
+    if ('enabled' in changes) {
+      if (changes.enabled && !slot.enabled) centerSectionPlane(slot);
+      slot.enabled = !!changes.enabled;
+    }
+
+    applySectionPlanes();
+    emit('sectionchange', getSectionState());
+  }
+
+  // Attaches the section gizmo to plane `index` (null detaches it).
+  // mode: 'translate' | 'rotate' (rotation only applies to free planes)
+  function editSectionPlane(index, mode = 'translate') {
+    const slot = sectionPlanes[index];
+    sectionEditing = slot && slot.enabled ? index : null;
+    sectionGizmoMode = mode === 'rotate' ? 'rotate' : 'translate';
+    if (sectionEditing !== null) {
+      select(null);
+      if (lightEditing !== null) editLight(null);
+    }
+
+    refreshSectionGizmo();
+    emit('sectionchange', getSectionState());
+  }
+
+  function setSectionCaps(enabled) {
+    sectionCaps = !!enabled;
+    buildSectionStencils();
+    emit('sectionchange', getSectionState());
+  }
+
+  // Disables every plane; orientations and flips are kept
+  function clearSection() {
+    sectionPlanes.forEach((slot) => { slot.enabled = false; });
+    applySectionPlanes();
+    emit('sectionchange', getSectionState());
+  }
+
+  function getSectionState() {
+    return {
+      caps: sectionCaps,
+      editing: sectionEditing,
+      gizmoMode: sectionGizmoMode,
+      planes: sectionPlanes.map((slot) => ({
+        enabled: slot.enabled,
+        orientation: slot.orientation,
+        flipped: slot.flipped,
+        normal: vectorToArray(slot.plane.normal),
+        constant: roundValue(slot.plane.constant)
+      }))
+    };
+  }
+
+  function disposeSectionPlanes() {
+    disposeSectionStencils();
+    sectionPlanes.forEach((slot) => slot.stencilMaterials.forEach((material) => material.dispose()));
+    disposeObject(sectionGroup);
+    disposeObject(sectionCapGroup);
+  }
+
+  // ─────────────────────────────────────────────
+  // Node Visibility & Isolation
+  // ─────────────────────────────────────────────
+  function setObjectVisible(object, visible) {
+    clearIsolation();
+    object.visible = visible;
+  }
+
+  // Hides everything in the scene's models except `object`, its ancestors
+  // and its subtree. Passing null restores the visibility from before isolating.
+  function isolate(object) {
+    clearIsolation();
+    if (!object || !getRecordOf(object)) return;
+
+    isolationSnapshot = new Map();
+    modelRoot.traverse((node) => isolationSnapshot.set(node, node.visible));
+
+    const path = [];
+    for (let node = object; node && node !== modelRoot; node = node.parent) path.push(node);
+
+    path.forEach((node) => {
+      node.visible = true;
+      if (node.parent) {
+        node.parent.children.forEach((sibling) => {
+          if (sibling !== node && !path.includes(sibling)) sibling.visible = false;
+        });
+      }
+    });
+    isolatedObject = object;
+  }
+
+  function clearIsolation() {
+    if (isolationSnapshot) {
+      isolationSnapshot.forEach((visible, node) => { node.visible = visible; });
+    }
+    isolationSnapshot = null;
+    isolatedObject = null;
+  }
+
+  // ─────────────────────────────────────────────
+  // Animation Playback
+  // ─────────────────────────────────────────────
+  function setupAnimations(model, animations) {
+    animationClips = animations || [];
+    activeAction = null;
+    mixer = animationClips.length > 0 ? new THREE.AnimationMixer(model) : null;
+
+    if (mixer) {
+      mixer.timeScale = animationSpeed;
+      mixer.addEventListener('finished', () => emit('animationchange', getAnimationState()));
+      playAnimation(0);
+    } else {
+      emit('animationchange', getAnimationState());
+    }
+  }
+
+  function disposeAnimations() {
+    if (!mixer) return;
+    mixer.stopAllAction();
+    mixer.uncacheRoot(mixer.getRoot());
+    mixer = null;
+    activeAction = null;
+    animationClips = [];
+  }
+
+  function applyAnimationLoop(action) {
+    action.setLoop(animationLoop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+    action.clampWhenFinished = !animationLoop;
+  }
+
+  function isAnimationPlaying() {
+    return !!activeAction && activeAction.isRunning();
+  }
+
+  function getAnimationState() {
+    return {
+      clips: animationClips.map((clip) => ({ name: clip.name, duration: clip.duration })),
+      index: activeAction ? animationClips.indexOf(activeAction.getClip()) : -1,
+      time: activeAction ? activeAction.time : 0,
+      duration: activeAction ? activeAction.getClip().duration : 0,
+      playing: isAnimationPlaying(),
+      loop: animationLoop,
+      speed: animationSpeed
+    };
+  }
+
+  // Switches to another clip, cross-fading from the one currently playing
+  function playAnimation(index) {
+    const clip = animationClips[index];
+    if (!mixer || !clip) return;
+
+    const nextAction = mixer.clipAction(clip);
+    if (nextAction === activeAction) return;
+
+    nextAction.reset();
+    applyAnimationLoop(nextAction);
+    nextAction.play();
+
+    if (activeAction) {
+      activeAction.paused = false;
+      nextAction.crossFadeFrom(activeAction, ANIMATION_CROSSFADE_DURATION, true);
+    }
+    activeAction = nextAction;
+    emit('animationchange', getAnimationState());
+  }
+
+  function toggleAnimation() {
+    if (!activeAction) return;
+
+    if (isAnimationPlaying()) {
+      activeAction.paused = true;
+    } else {
+      // A finished one-shot clip starts over
+      if (!activeAction.enabled || activeAction.time >= activeAction.getClip().duration) {
+        activeAction.reset();
+      }
+      activeAction.paused = false;
+      activeAction.play();
+    }
+    emit('animationchange', getAnimationState());
+  }
+
+  function seekAnimation(time) {
+    if (!activeAction) return;
+    activeAction.enabled = true;
+    activeAction.time = time;
+    // Re-evaluate the pose at the new time without advancing the clock
+    mixer.update(0);
+  }
+
+  function setAnimationLoop(loop) {
+    animationLoop = loop;
+    if (activeAction) applyAnimationLoop(activeAction);
+  }
+
+  function setAnimationSpeed(speed) {
+    animationSpeed = speed;
+    if (mixer) mixer.timeScale = speed;
+  }
+
+  // ─────────────────────────────────────────────
+  // Skeleton & Morph Target Inspector
+  // ─────────────────────────────────────────────
+  // Works on the active model. The weight view draws a copy of every mesh
+  // skinned to the selected bone on top of it, sharing geometry, skeleton
+  // and morph influences like the wireframe overlays, so it deforms with
+  // the animation.
+
+  // Rebuilds the overlays for the active model (it just changed)
+  function setupSkeletonInspector() {
+    disposeSkeletonInspector();
+    if (currentModel && skeletonVisible) {
+      skeletonHelper = new THREE.SkeletonHelper(currentModel);
+      skeletonHelper.name = '__skeletonHelper__';
+      skeletonGroup.add(skeletonHelper);
+    }
+    if (currentModel && boneNamesVisible) {
+      boneLabels = getModelBones().map(({ bone, name }) => {
+        const element = document.createElement('div');
+        element.className = 'gabo-bone-label';
+        element.textContent = name;
+        Object.assign(element.style, BONE_LABEL_STYLE);
+        element.addEventListener('click', () => selectBone(selectedBone === bone ? null : bone));
+        const label = new CSS2DObject(element);
+        skeletonGroup.add(label);
+        return { bone, label };
+      });
+      refreshBoneLabels();
+    }
+    emit('skeletonchange', getSkeletonState());
+  }
+
+  function disposeSkeletonInspector() {
+    if (skeletonHelper) {
+      skeletonGroup.remove(skeletonHelper);
+      skeletonHelper.dispose();
+      skeletonHelper = null;
+    }
+    // CSS2DObject only removes its element when it is itself removed
+    boneLabels.forEach(({ label }) => skeletonGroup.remove(label));
+    boneLabels = [];
+    disposeWeightOverlays();
+    if (selectedBone && getRecordOf(selectedBone) !== currentRecord) selectedBone = null;
+  }
+
+  // Bones of the active model in tree order, with their depth in the hierarchy
+  function getModelBones() {
+    if (!currentModel) return [];
+    const bones = [];
+    currentModel.traverse((node) => {
+      if (!node.isBone) return;
+      let depth = 0;
+      for (let parent = node.parent; parent && parent.isBone; parent = parent.parent) depth++;
+      bones.push({ bone: node, name: node.name || `Hueso ${bones.length + 1}`, depth });
+    });
+    return bones;
+  }
+
+  // Accepts any subset of { skeleton, boneNames }
+  function setSkeletonOptions(changes = {}) {
+    if ('skeleton' in changes) skeletonVisible = !!changes.skeleton;
+    if ('boneNames' in changes) boneNamesVisible = !!changes.boneNames;
+    const bone = selectedBone;
+    setupSkeletonInspector();
+    if (bone) selectBone(bone);
+  }
+
+  // Colors the vertices `bone` influences (null clears it)
+  function selectBone(bone) {
+    disposeWeightOverlays();
+    selectedBone = bone && bone.isBone && getRecordOf(bone) === currentRecord ? bone : null;
+    if (selectedBone) buildWeightOverlays(selectedBone);
+    refreshBoneLabels();
+    emit('skeletonchange', getSkeletonState());
+  }
+
+  function buildWeightOverlays(bone) {
+    const planes = clippingPlanes.length > 0 ? clippingPlanes : null;
+    currentModel.traverse((source) => {
+      if (!source.isSkinnedMesh) return;
+      const boneIndex = source.skeleton.bones.indexOf(bone);
+      if (boneIndex < 0) return;
+
+      const mesh = new THREE.SkinnedMesh(source.geometry, createWeightMaterial(boneIndex));
+      mesh.material.clippingPlanes = planes;
+      mesh.bindMode = source.bindMode;
+      mesh.bind(source.skeleton, source.bindMatrix);
+      if (source.morphTargetInfluences) {
+        mesh.morphTargetInfluences = source.morphTargetInfluences;
+        mesh.morphTargetDictionary = source.morphTargetDictionary;
+      }
+      mesh.matrixAutoUpdate = false;
+      mesh.frustumCulled = false;
+      skeletonGroup.add(mesh);
+      weightOverlays.push({ source, mesh });
+    });
+  }
+
+  // Sums the skin weights that point at `boneIndex` and maps them to colors.
+  // Drawn slightly in front of the mesh it covers.
+  function createWeightMaterial(boneIndex) {
+    const material = new THREE.MeshBasicMaterial({
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1,
+      toneMapped: false
+    });
+    material.onBeforeCompile = (shader) => {
+      shader.uniforms.boneIndex = { value: boneIndex };
+      shader.vertexShader = `uniform float boneIndex;\nvarying float vBoneWeight;\n${shader.vertexShader}`.replace(
+        '#include <skinning_vertex>',
+        `#include <skinning_vertex>
+        vBoneWeight = dot( vec4( equal( skinIndex, vec4( boneIndex ) ) ), skinWeight );`
+      );
+      shader.fragmentShader = `varying float vBoneWeight;\n${shader.fragmentShader}`.replace(
+        '#include <color_fragment>',
+        `#include <color_fragment>
+        float weight = clamp( vBoneWeight, 0.0, 1.0 );
+        diffuseColor.rgb = weight < 0.5
+          ? mix( vec3( 0.0, 0.05, 0.4 ), vec3( 0.0, 0.8, 0.1 ), weight * 2.0 )
+          : mix( vec3( 0.0, 0.8, 0.1 ), vec3( 1.0, 0.05, 0.0 ), weight * 2.0 - 1.0 );`
+      );
+    };
+    material.customProgramCacheKey = () => 'bone-weights';
+    return material;
+  }
+
+  function disposeWeightOverlays() {
+    // The geometries and skeletons belong to the model
+    weightOverlays.forEach(({ mesh }) => {
+      skeletonGroup.remove(mesh);
+      mesh.material.dispose();
+    });
+    weightOverlays = [];
+  }
+
+  function refreshBoneLabels() {
+    boneLabels.forEach(({ bone, label }) => {
+      label.element.style.color = bone === selectedBone ? SELECTED_BONE_COLOR : BONE_LABEL_STYLE.color;
+    });
+  }
+
+  // Labels follow their bones; weight copies follow their meshes
+  function updateSkeletonInspector() {
+    if (boneLabels.length === 0 && weightOverlays.length === 0) return;
+    modelRoot.updateMatrixWorld();
+    boneLabels.forEach(({ bone, label }) => {
+      bone.getWorldPosition(label.position);
+      label.visible = isObjectVisible(bone);
+    });
+    weightOverlays.forEach(({ source, mesh }) => {
+      mesh.matrix.copy(source.matrixWorld);
+      mesh.visible = isObjectVisible(source);
+    });
+  }
+
+  // Sets the weight (0–1) of morph target `target` (name or index) of `mesh`.
+  // A playing clip that animates the same target overrides it.
+  function setMorphInfluence(mesh, target, value) {
+    if (!mesh || !mesh.morphTargetInfluences || !Number.isFinite(value)) return;
+    const index = typeof target === 'string' && mesh.morphTargetDictionary
+      ? mesh.morphTargetDictionary[target]
+      : target;
+    if (!(index in mesh.morphTargetInfluences)) return;
+    mesh.morphTargetInfluences[index] = THREE.MathUtils.clamp(value, 0, 1);
+    emit('skeletonchange', getSkeletonState());
+  }
+
+  // `bones` and `morphs` hold the nodes themselves, to pass back to
+  // selectBone() and setMorphInfluence()
+  function getSkeletonState() {
+    const morphs = [];
+    if (currentModel) {
+      currentModel.traverse((node) => {
+        if (!node.isMesh || !node.morphTargetInfluences || node.morphTargetInfluences.length === 0) return;
+        const names = [];
+        Object.entries(node.morphTargetDictionary || {}).forEach(([name, index]) => { names[index] = name; });
+        morphs.push({
+          mesh: node,
+          name: node.name || node.type,
+          targets: node.morphTargetInfluences.map((value, index) => ({
+            name: names[index] || `Morph ${index + 1}`,
+            index,
+            value
+          }))
+        });
+      });
+    }
+    return {
+      skeleton: skeletonVisible,
+      boneNames: boneNamesVisible,
+      bones: getModelBones(),
+      selectedBone,
+      weightedMeshes: weightOverlays.length,
+      morphs
+    };
+  }
+
+  // ─────────────────────────────────────────────
+  // Transform Editing (numeric values, snapping, space)
+  // ─────────────────────────────────────────────
+  // Numeric values are the selected node's own position, rotation (XYZ
+  // Euler, degrees) and scale, relative to its parent whatever the gizmo
+  // space. Every change is one history command, like a gizmo drag.
+
+  function getTransformState() {
+    const object = selectedObject;
+    return {
+      mode: transformControls.getMode(),
+      space: transformSettings.space,
+      snap: { ...transformSettings.snap },
+      uniformScale: transformSettings.uniformScale,
+      object: object ? {
+        name: object.name || object.type,
+        position: vectorToArray(object.position),
+        rotation: [object.rotation.x, object.rotation.y, object.rotation.z]
+          .map((angle) => roundValue(THREE.MathUtils.radToDeg(angle))),
+        scale: vectorToArray(object.scale)
+      } : null
+    };
+  }
+
+  // Accepts any subset of { position, rotation, scale } as [x, y, z] arrays
+  // for the selected node; non-finite components (and zero scales) keep
+  // their current value. With the uniform scale lock the most changed scale
+  // component sets all three.
+  function setTransform(changes = {}) {
+    const object = selectedObject;
+    if (!object) return;
+    const before = getTransformSnapshot(object);
+    const edited = [];
+
+    if (Array.isArray(changes.position)) {
+      const position = object.position.toArray().map((value, i) => (Number.isFinite(changes.position[i]) ? changes.position[i] : value));
+      object.position.fromArray(position);
+      edited.push('translate');
+    }
+    if (Array.isArray(changes.rotation)) {
+      const current = [object.rotation.x, object.rotation.y, object.rotation.z];
+      const rotation = current.map((angle, i) => (
+        Number.isFinite(changes.rotation[i]) ? THREE.MathUtils.degToRad(changes.rotation[i]) : angle
+      ));
+      object.rotation.set(...rotation, object.rotation.order);
+      edited.push('rotate');
+    }
+    if (Array.isArray(changes.scale)) {
+      const current = object.scale.toArray();
+      const scale = current.map((value, i) => (Number.isFinite(changes.scale[i]) && changes.scale[i] !== 0 ? changes.scale[i] : value));
+      if (transformSettings.uniformScale) {
+        object.scale.fromArray(current).multiplyScalar(getUniformScaleFactor(current, scale));
+      } else {
+        object.scale.fromArray(scale);
+      }
+      edited.push('scale');
+    }
+
+    const label = edited.length === 1 ? TRANSFORM_LABELS[edited[0]] : 'Transformar';
+    pushTransformChange(object, before, `${label} ${object.name || object.type}`);
+  }
+
+  // Ratio of the scale component that changed the most
+  function getUniformScaleFactor(before, after) {
+    let factor = 1;
+    before.forEach((value, i) => {
+      const ratio = value !== 0 ? after[i] / value : 1;
+      if (Math.abs(ratio - 1) > Math.abs(factor - 1)) factor = ratio;
+    });
+    return factor;
+  }
+
+  // Records the move of `object` from `before` to where it is now. Only the
+  // properties that changed are restored, like a gizmo drag, so undoing a
+  // move does not also rewind the spin of auto-rotate.
+  function pushTransformChange(object, before, label) {
+    const after = getTransformSnapshot(object);
+    const properties = Object.keys(after).filter((property) => !before[property].equals(after[property]));
+    if (properties.length === 0) {
+      emit('transformchange', getTransformState());
+      return;
+    }
+    const rotated = properties.includes('quaternion');
+    const spin = rotated ? setModelSpin(object, 0) : 0;
+    editHistory.push({
+      label,
+      undo: () => {
+        properties.forEach((property) => object[property].copy(before[property]));
+        if (rotated) setModelSpin(object, spin);
+      },
+      redo: () => {
+        properties.forEach((property) => object[property].copy(after[property]));
+        if (rotated) setModelSpin(object, 0);
+      }
+    });
+  }
+
+  // Accepts any subset of the keys of DEFAULT_TRANSFORM_SETTINGS; snapping
+  // steps must be positive
+  function setTransformSettings(changes = {}) {
+    if (TRANSFORM_SPACES[changes.space]) transformSettings.space = changes.space;
+    if ('uniformScale' in changes) transformSettings.uniformScale = !!changes.uniformScale;
+    const snap = changes.snap;
+    if (snap && typeof snap === 'object') {
+      if ('enabled' in snap) transformSettings.snap.enabled = !!snap.enabled;
+      ['translate', 'rotate', 'scale'].forEach((key) => {
+        if (Number.isFinite(snap[key]) && snap[key] > 0) transformSettings.snap[key] = snap[key];
+      });
+    }
+    transformControls.setSpace(transformSettings.space);
+    applyTransformSnapping();
+    emit('transformchange', getTransformState());
+  }
+
+  function applyTransformSnapping() {
+    const { enabled, translate, rotate, scale } = transformSettings.snap;
+    const active = enabled !== snapInverted;
+    transformControls.setTranslationSnap(active ? translate : null);
+    transformControls.setRotationSnap(active ? THREE.MathUtils.degToRad(rotate) : null);
+    transformControls.setScaleSnap(active ? scale : null);
+  }
+
+  // Capture listeners run before the gizmo's own, which applies the snap
+  function setupSnapModifier() {
+    const onPointer = (e) => {
+      const inverted = e.ctrlKey || e.metaKey;
+      if (inverted === snapInverted) return;
+      snapInverted = inverted;
+      applyTransformSnapping();
+    };
+    renderer.domElement.addEventListener('pointerdown', onPointer, true);
+    renderer.domElement.addEventListener('pointermove', onPointer, true);
+  }
+
+  function onGizmoObjectChange() {
+    // The lock turns a drag on one scale handle into a uniform scale
+    if (transformEdit && transformEdit.mode === 'scale' && transformSettings.uniformScale) {
+      const before = transformEdit.before.toArray();
+      const factor = getUniformScaleFactor(before, transformEdit.object.scale.toArray());
+      transformEdit.object.scale.fromArray(before).multiplyScalar(factor);
+    }
+    emit('transformchange', getTransformState());
+  }
+
+  // Moves the selected node so its bounds rest on the ground (y = 0)
+  function dropToGround() {
+    const object = selectedObject;
+    if (!object) return;
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return;
+    const before = getTransformSnapshot(object);
+    moveInWorld(object, new THREE.Vector3(0, -box.min.y, 0));
+    pushTransformChange(object, before, `Apoyar en el suelo ${object.name || object.type}`);
+  }
+
+  // Moves the selected node so its bounds are centered on the origin
+  // horizontally; the height is kept so it does not sink into the ground
+  function centerOnOrigin() {
+    const object = selectedObject;
+    if (!object) return;
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return;
+    const center = box.getCenter(new THREE.Vector3());
+    const before = getTransformSnapshot(object);
+    moveInWorld(object, new THREE.Vector3(-center.x, 0, -center.z));
+    pushTransformChange(object, before, `Centrar en el origen ${object.name || object.type}`);
+  }
+
+  function moveInWorld(object, offset) {
+    const target = object.getWorldPosition(new THREE.Vector3()).add(offset);
+    object.position.copy(object.parent ? object.parent.worldToLocal(target) : target);
+  }
+
+  // ─────────────────────────────────────────────
+  // Edit History (undo / redo)
+  // ─────────────────────────────────────────────
+  // Each gizmo drag becomes one command, recorded between the start and end
+  // of `dragging-changed`. Only the property the gizmo mode edits is
+  // restored, so auto-rotation does not fight with an undone move.
+  function beginTransformEdit() {
+    const object = transformControls.object;
+    const mode = transformControls.getMode();
+    const property = TRANSFORM_PROPERTIES[mode];
+    transformEdit = { object, mode, property, before: object[property].clone() };
+  }
+
+  function endTransformEdit() {
+    if (!transformEdit) return;
+    const { object, mode, property, before } = transformEdit;
+    transformEdit = null;
+
+    const after = object[property].clone();
+    if (after.equals(before)) return;
+    const rotated = mode === 'rotate';
+    const spin = rotated ? setModelSpin(object, 0) : 0;
+
+    editHistory.push({
+      label: `${TRANSFORM_LABELS[mode]} ${object.name || object.type}`,
+      undo: () => {
+        object[property].copy(before);
+        if (rotated) setModelSpin(object, spin);
+      },
+      redo: () => {
+        object[property].copy(after);
+        if (rotated) setModelSpin(object, 0);
+      }
+    });
+  }
+
+  function getHistory() {
+    return {
+      entries: editHistory.entries,
+      index: editHistory.index,
+      canUndo: editHistory.canUndo,
+      canRedo: editHistory.canRedo
+    };
+  }
+
+  // Undoes or redoes until the first `index` entries are applied
+  function goToHistory(index) {
+    while (editHistory.index > index && editHistory.undo());
+    while (editHistory.index < index && editHistory.redo());
+  }
+
+  // ─────────────────────────────────────────────
+  // View Modes
+  // ─────────────────────────────────────────────
+  // Swaps the meshes of a model to the materials of one of VIEW_MODES and
+  // back. The originals are kept by mesh in originalMaterials, so several
+  // models can be swapped at once and export / inspection still see them.
+  // Does not touch record.display: detached records keep their mode.
+  function applyViewMode(record, mode) {
+    const castsShadows = VIEW_MODES[mode].shadows !== false;
+    record.model.traverse((child) => {
+      if (!child.isMesh || !child.material) return;
+      if (originalMaterials.has(child.uuid)) {
+        // View materials share the original textures, so only they are disposed
+        [].concat(child.material).forEach((material) => material.dispose());
+        child.material = originalMaterials.get(child.uuid);
+        originalMaterials.delete(child.uuid);
+      }
+      if (VIEW_MATERIALS[mode]) {
+        originalMaterials.set(child.uuid, child.material);
+        child.material = Array.isArray(child.material)
+          ? child.material.map((material) => createViewMaterial(mode, material, child))
+          : createViewMaterial(mode, child.material, child);
+      }
+      child.castShadow = castsShadows;
+      child.receiveShadow = castsShadows;
+    });
+
+    disposeViewOverlays(record);
+    if (mode === 'wireframeShaded') buildViewOverlays(record);
+    applyModelClipping();
+  }
+
+  // Remakes only the view materials copied from `material`, so editing it
+  // leaves the rest of the model and the overlays alone
+  function refreshViewMaterials(record, material) {
+    const mode = record.display.viewMode;
+    record.model.traverse((child) => {
+      const originals = child.isMesh && originalMaterials.get(child.uuid);
+      if (!originals) return;
+      if (Array.isArray(originals)) {
+        originals.forEach((original, i) => {
+          if (original !== material) return;
+          child.material[i].dispose();
+          child.material[i] = createViewMaterial(mode, original, child);
+        });
+      } else if (originals === material) {
+        child.material.dispose();
+        child.material = createViewMaterial(mode, material, child);
+      }
+    });
+    applyModelClipping();
+  }
+
+  // The materials of `mesh` itself, never the view copies standing in
+  function getMeshMaterials(mesh) {
+    return [].concat(originalMaterials.get(mesh.uuid) || mesh.material || []);
+  }
+
+  function createViewMaterial(mode, original, mesh) {
+    const material = VIEW_MATERIALS[mode](original, mesh);
+    material.userData.viewMode = mode;
+    return material;
+  }
+
+  // View mode → (original material, mesh) → replacement material
+  const VIEW_MATERIALS = {
+    unlit: (original) => new THREE.MeshBasicMaterial({
+      color: original.color ? original.color.clone() : 0xffffff,
+      map: original.map || null,
+      alphaMap: original.alphaMap || null,
+      vertexColors: original.vertexColors,
+      transparent: original.transparent,
+      opacity: original.opacity,
+      alphaTest: original.alphaTest,
+      side: original.side
+    }),
+    normals: (original) => {
+      const material = new THREE.MeshNormalMaterial({ normalMap: original.normalMap || null, side: original.side });
+      if (original.normalScale) material.normalScale.copy(original.normalScale);
+      return material;
+    },
+    uvChecker: (original) => new THREE.MeshBasicMaterial({ map: getUVCheckerTexture(), side: original.side }),
+    matcap: (original) => {
+      const material = new THREE.MeshMatcapMaterial({
+        matcap: getMatcapTexture(),
+        normalMap: original.normalMap || null,
+        side: original.side
+      });
+      if (original.normalScale) material.normalScale.copy(original.normalScale);
+      return material;
+    },
+    roughness: (original) => createChannelMaterial('roughness', original),
+    metalness: (original) => createChannelMaterial('metalness', original),
+    ao: (original) => createChannelMaterial('ao', original),
+    // Meshes without a color attribute show a neutral gray instead of black
+    vertexColors: (original, mesh) => {
+      const hasColors = !!mesh.geometry.attributes.color;
+      return new THREE.MeshBasicMaterial({
+        color: hasColors ? 0xffffff : 0x808080,
+        vertexColors: hasColors,
+        side: original.side
+      });
+    },
+    xray: () => new THREE.MeshBasicMaterial({
+      color: 0x5a8dee,
+      transparent: true,
+      opacity: 0.12,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    }),
+    wireframe: (original) => {
+      const material = original.clone();
+      material.wireframe = true;
+      return material;
+    },
+    hologram: () => createHologramMaterial()
+  };
+
+  // Grayscale view of one PBR value: its factor times the texture channel
+  // (ambient occlusion has no factor, only an intensity). The raw value is
+  // shown as is, so the output's sRGB encoding is undone in the shader.
+  function createChannelMaterial(mode, original) {
+    const { map, component } = CHANNEL_VIEWS[mode];
+    // Non-PBR materials count as fully rough and not metallic
+    const factors = {
+      roughness: 'roughness' in original ? original.roughness : 1,
+      metalness: 'metalness' in original ? original.metalness : 0,
+      ao: 1
+    };
+    const factor = factors[mode];
+    const material = new THREE.MeshBasicMaterial({ map: original[map] || null, toneMapped: false, side: original.side });
+    material.color.setRGB(factor, factor, factor, THREE.SRGBColorSpace);
+
+    const channelMix = mode === 'ao' && 'aoMapIntensity' in original ? original.aoMapIntensity : 1;
+    material.onBeforeCompile = (shader) => {
+      shader.uniforms.channelMix = { value: channelMix };
+      shader.fragmentShader = `uniform float channelMix;\n${shader.fragmentShader}`.replace(
+        '#include <map_fragment>',
+        `#ifdef USE_MAP
+          float channelValue = mix( 1.0, texture2D( map, vMapUv ).${component}, channelMix );
+          diffuseColor.rgb *= pow( channelValue, 2.2 );
+        #endif`
+      );
+    };
+    material.customProgramCacheKey = () => `channel-${component}`;
+    return material;
+  }
+
+  // 8×8 checker whose light cells shift hue along U and brightness along V,
+  // so stretching, seams and flipped islands stand out
+  function getUVCheckerTexture() {
+    if (uvCheckerTexture) return uvCheckerTexture;
+    const cells = 8;
+    const cellSize = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = cells * cellSize;
+    const ctx = canvas.getContext('2d');
+    for (let y = 0; y < cells; y++) {
+      for (let x = 0; x < cells; x++) {
+        ctx.fillStyle = (x + y) % 2 === 0
+          ? `hsl(${(x / cells) * 360}, 70%, ${45 + (y / cells) * 30}%)`
+          : '#2a2a2a';
+        ctx.fillRect(x * cellSize, (cells - 1 - y) * cellSize, cellSize, cellSize);
+      }
+    }
+    uvCheckerTexture = new THREE.CanvasTexture(canvas);
+    uvCheckerTexture.colorSpace = THREE.SRGBColorSpace;
+    uvCheckerTexture.wrapS = uvCheckerTexture.wrapT = THREE.RepeatWrapping;
+    uvCheckerTexture.anisotropy = renderer.capabilities.getMaxAnisotropy();
+    return uvCheckerTexture;
+  }
+
+  // Clay-like sphere lit from the top left, drawn instead of shipping an image
+  function getMatcapTexture() {
+    if (matcapTexture) return matcapTexture;
+    const size = 256;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(size * 0.38, size * 0.32, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, '#ffffff');
+    gradient.addColorStop(0.25, '#d9cbbd');
+    gradient.addColorStop(0.75, '#7a6a5e');
+    gradient.addColorStop(1, '#2e2621');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size, size);
+    matcapTexture = new THREE.CanvasTexture(canvas);
+    matcapTexture.colorSpace = THREE.SRGBColorSpace;
+    return matcapTexture;
+  }
+
+  // Wireframe over shaded: a wire copy of every mesh of the model drawn on
+  // top of its own materials. The copies share geometry, skeleton and morph
+  // influences, and copy their world matrices like the section stencils.
+  function buildViewOverlays(record) {
+    const overlays = [];
+    record.model.traverse((source) => {
+      if (!source.isMesh || !source.geometry) return;
+      const mesh = source.isSkinnedMesh
+        ? new THREE.SkinnedMesh(source.geometry, wireOverlayMaterial)
+        : new THREE.Mesh(source.geometry, wireOverlayMaterial);
+      if (source.isSkinnedMesh) {
+        mesh.bindMode = source.bindMode;
+        mesh.bind(source.skeleton, source.bindMatrix);
+      }
+      if (source.morphTargetInfluences) {
+        mesh.morphTargetInfluences = source.morphTargetInfluences;
+        mesh.morphTargetDictionary = source.morphTargetDictionary;
+      }
+      mesh.matrixAutoUpdate = false;
+      mesh.frustumCulled = false;
+      viewOverlayGroup.add(mesh);
+      overlays.push({ source, mesh });
+    });
+    viewOverlays.set(record, overlays);
+    updateViewOverlays();
+  }
+
+  function updateViewOverlays() {
+    if (viewOverlays.size === 0) return;
+    modelRoot.updateMatrixWorld();
+    viewOverlays.forEach((overlays) => {
+      overlays.forEach(({ source, mesh }) => {
+        mesh.matrix.copy(source.matrixWorld);
+        mesh.visible = isObjectVisible(source);
+      });
+    });
+  }
+
+  function disposeViewOverlays(record) {
+    // The geometries and skeletons belong to the model
+    (viewOverlays.get(record) || []).forEach(({ mesh }) => viewOverlayGroup.remove(mesh));
+    viewOverlays.delete(record);
+  }
+
+  // ─────────────────────────────────────────────
+  // Material Editor & Variants
+  // ─────────────────────────────────────────────
+  // The editor works on the selected mesh's own materials (the ones a view
+  // mode swapped out included), so edits survive view changes. A material
+  // shared by several meshes changes on all of them, as in the file.
+  function getEditedMesh() {
+    return selectedObject && selectedObject.material ? selectedObject : null;
+  }
+
+  function hasMaterialProperty(material, key) {
+    return key === 'doubleSided' || (key in material && material[key] !== null && material[key] !== undefined);
+  }
+
+  function readMaterialProperty(material, key) {
+    if (key === 'doubleSided') return material.side === THREE.DoubleSide;
+    const value = material[key];
+    return value.isColor ? `#${value.getHexString()}` : value;
+  }
+
+  // Accepts any subset of the keys of MATERIAL_PROPERTIES for material
+  // `index` of the selected mesh (colors as #rrggbb); values out of range
+  // are clamped, invalid ones ignored. Not recorded in the edit history.
+  function setMaterialProperties(changes = {}, index = 0) {
+    const mesh = getEditedMesh();
+    const material = mesh ? getMeshMaterials(mesh)[index] : null;
+    if (!material) return;
+
+    Object.entries(MATERIAL_PROPERTIES).forEach(([key, { type, range }]) => {
+      if (!(key in changes) || !hasMaterialProperty(material, key)) return;
+      const value = changes[key];
+      if (type === 'color') {
+        if (HEX_COLOR_PATTERN.test(value)) material[key].set(value);
+      } else if (type === 'boolean') {
+        // Both change the shader program
+        if (key === 'doubleSided') material.side = value ? THREE.DoubleSide : THREE.FrontSide;
+        else material[key] = !!value;
+        material.needsUpdate = true;
+      } else if (Number.isFinite(value)) {
+        material[key] = THREE.MathUtils.clamp(value, range[0], range[1]);
+      }
+    });
+
+    // View materials are copies made from the originals
+    const record = getRecordOf(mesh);
+    if (record && VIEW_MATERIALS[record.display.viewMode]) refreshViewMaterials(record, material);
+    emit('materialchange', getMaterialState());
+  }
+
+  // Switches the active model to one of its KHR_materials_variants, by name
+  // or index, or back to the file's own materials with null. Variant
+  // materials load on first use; resolves to true once they are shown.
+  function setMaterialVariant(variant) {
+    const record = currentRecord;
+    if (!record || !record.variants) return Promise.resolve(false);
+    const { names } = record.variants;
+    const index = typeof variant === 'number' ? variant : names.indexOf(variant);
+    if (variant !== null && !(index >= 0 && index < names.length)) return Promise.resolve(false);
+    const target = variant === null ? -1 : index;
+    const request = ++variantRequest;
+
+    const meshes = [];
+    record.model.traverse((node) => {
+      const extensions = node.isMesh && node.userData.gltfExtensions;
+      if (extensions && extensions.KHR_materials_variants) meshes.push(node);
+    });
+
+    return Promise.all(meshes.map((mesh) => (target < 0 ? null : record.variants.getMaterial(mesh, target))))
+      .then((materials) => {
+        // A later call wins over one whose materials took longer to load
+        if (request !== variantRequest) return false;
+
+        const attached = models.includes(record);
+        if (attached) applyViewMode(record, 'lit');
+        meshes.forEach((mesh, i) => {
+          if (!record.defaultMaterials.has(mesh)) record.defaultMaterials.set(mesh, mesh.material);
+          mesh.material = materials[i] || record.defaultMaterials.get(mesh);
+          record.variantMaterials.add(mesh.material);
+        });
+        record.variant = target;
+        if (attached) {
+          applyEnvironmentToMaterials(record.model, !!currentHDRI);
+          applyViewMode(record, record.display.viewMode);
+        }
+        emit('materialchange', getMaterialState());
+        return true;
+      })
+      .catch((error) => {
+        console.error(`Error loading material variant ${names[target] || target}:`, error);
+        emit('error', { kind: 'variant', name: names[target] || '', error });
+        return false;
+      });
+  }
+
+  // Variants of the active model and the materials of the selected mesh.
+  // `properties` holds the MATERIAL_PROPERTIES keys the material has;
+  // `meshes` counts the meshes of the model sharing it.
+  function getMaterialState() {
+    const record = currentRecord;
+    const mesh = getEditedMesh();
+    const variants = record && record.variants ? record.variants.names : [];
+    return {
+      variants: [...variants],
+      variant: record && record.variant >= 0 ? variants[record.variant] : null,
+      mesh,
+      materials: mesh ? getMeshMaterials(mesh).map((material) => describeMaterial(material, getRecordOf(mesh))) : []
+    };
+  }
+
+  function describeMaterial(material, record) {
+    const properties = {};
+    Object.keys(MATERIAL_PROPERTIES).forEach((key) => {
+      if (hasMaterialProperty(material, key)) properties[key] = readMaterialProperty(material, key);
+    });
+
+    const textures = Object.entries(TEXTURE_SLOTS)
+      .filter(([slot]) => material[slot] && material[slot].isTexture)
+      .map(([slot, label], index) => ({ slot, label, ...describeTexture(material[slot], index) }));
+
+    let meshes = 0;
+    if (record) {
+      record.model.traverse((node) => {
+        if (node.material && getMeshMaterials(node).includes(material)) meshes++;
+      });
+    }
+    return { name: material.name || '', type: material.type, properties, textures, meshes };
+  }
+
+  // ─────────────────────────────────────────────
+  // GLB Export
+  // ─────────────────────────────────────────────
+  // World matrix `object` should be exported with. Without baking, the
+  // centering/rescale applied by setupLoadedModel is replaced by the file's
+  // original root transform while keeping the user's edits on top of it.
+  // The auto-rotate spin is never exported: the model is turned back while
+  // the matrices are read.
+  function getExportMatrix(object, bakeCentering) {
+    const record = getRecordOf(object);
+    const rotationY = record ? record.model.rotation.y : 0;
+    if (record) record.model.rotation.y -= record.spin;
+    try {
+      object.updateWorldMatrix(true, false);
+      const matrix = object.matrixWorld.clone();
+      if (bakeCentering || !modelInitialTransform) return matrix;
+
+      const initial = new THREE.Matrix4().compose(
+        modelInitialTransform.position,
+        new THREE.Quaternion().setFromEuler(modelInitialTransform.rotation),
+        modelInitialTransform.scale
+      );
+      currentModel.updateWorldMatrix(true, false);
+      const current = currentModel.matrixWorld;
+      const correction = current.clone()
+        .multiply(initial.invert())
+        .multiply(modelInitialTransform.sourceMatrix)
+        .multiply(current.clone().invert());
+      return correction.multiply(matrix);
+    } finally {
+      if (record) {
+        record.model.rotation.y = rotationY;
+        record.model.updateMatrixWorld(true);
+      }
+    }
+  }
+
+  function buildExportScene(exportOptions) {
+    const source = exportOptions.selectionOnly && selectedObject ? selectedObject : currentModel;
+    const clone = SkeletonUtils.clone(source);
+
+    // Walk source and clone in parallel: swap view-mode materials
+    // back to the originals and optionally strip textures
+    const sourceNodes = [];
+    const cloneNodes = [];
+    source.traverse((node) => sourceNodes.push(node));
+    clone.traverse((node) => cloneNodes.push(node));
+
+    const strippedMaterials = new Map();
+    const stripTextures = (material) => {
+      if (!strippedMaterials.has(material)) {
+        const copy = material.clone();
+        Object.keys(copy).forEach((key) => {
+          if (copy[key] && copy[key].isTexture) copy[key] = null;
+        });
+        strippedMaterials.set(material, copy);
+      }
+      return strippedMaterials.get(material);
+    };
+
+    sourceNodes.forEach((node, i) => {
+      const copy = cloneNodes[i];
+      if (!copy.isMesh) return;
+      if (originalMaterials.has(node.uuid)) copy.material = originalMaterials.get(node.uuid);
+      if (!exportOptions.embedTextures) {
+        copy.material = Array.isArray(copy.material)
+          ? copy.material.map(stripTextures)
+          : stripTextures(copy.material);
+      }
+    });
+
+    if (exportOptions.excludeHelpers) {
+      const helpers = [];
+      clone.traverse((node) => {
+        if (node !== clone && isViewerHelper(node)) helpers.push(node);
+      });
+      helpers.forEach((helper) => helper.removeFromParent());
+    }
+
+    getExportMatrix(source, exportOptions.bakeCentering).decompose(clone.position, clone.quaternion, clone.scale);
+    clone.updateMatrix();
+
+    const exportScene = new THREE.Scene();
+    exportScene.name = currentModel.name;
+    exportScene.add(clone);
+
+    // Without exclusion the shadow ground and default lights travel along
+    if (!exportOptions.excludeHelpers) {
+      scene.children
+        .filter((child) => VIEWER_OBJECT_PATTERN.test(child.name) && (child.isMesh || child.isLight))
+        .forEach((child) => exportScene.add(child.clone()));
+    }
+
+    return { exportScene, strippedMaterials, includesAnimations: source === currentModel };
+  }
+
+  // Resolves to a .glb Blob of the current model (or the selected node)
+  function exportGLB(exportOptions = {}) {
+    if (!currentModel) return Promise.reject(new Error('No model loaded'));
+
+    const { exportScene, strippedMaterials, includesAnimations } = buildExportScene({
+      selectionOnly: false,
+      bakeCentering: true,
+      embedTextures: true,
+      excludeHelpers: true,
+      ...exportOptions
+    });
+
+    return new GLTFExporter()
+      .parseAsync(exportScene, {
+        binary: true,
+        onlyVisible: true,
+        animations: includesAnimations ? animationClips : []
+      })
+      .then((glb) => new Blob([glb], { type: 'model/gltf-binary' }))
+      .finally(() => strippedMaterials.forEach((material) => material.dispose()));
+  }
+
+  // ─────────────────────────────────────────────
+  // High-Resolution Screenshot
+  // ─────────────────────────────────────────────
+  // Renders the current view at an arbitrary resolution by temporarily resizing
+  // the drawing buffer, then hands the canvas to `onRendered` while the frame is
+  // still in it. Everything is restored within the same task, so the on-screen
+  // canvas never shows the intermediate frame.
+  function renderWithCaptureSettings({ width, height, background, backgroundColor, hideHelpers }, onRendered) {
+    const size = clampRenderSize(renderer, width, height);
+    if (size.width !== width || size.height !== height) {
+      console.warn(`Requested ${width}×${height} exceeds GPU limits, rendering ${size.width}×${size.height}`);
+    }
+
+    // --- Save state ---
+    const previousSize = renderer.getSize(new THREE.Vector2());
+    const previousPixelRatio = renderer.getPixelRatio();
+    const previousBackground = scene.background;
+    const previousClearColor = renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = renderer.getClearAlpha();
+    const helpers = [
+      gridHelper, axesHelper, transformControls, selectionHelper, measurementGroup, sectionGroup, sectionControls,
+      lightHelperGroup, lightControls, skeletonHelper
+    ].filter(Boolean);
+    const helperVisibility = helpers.map((helper) => helper.visible);
+
+    // --- Apply capture settings ---
+    if (hideHelpers) helpers.forEach((helper) => { helper.visible = false; });
+    if (background === 'transparent') {
+      scene.background = null;
+      renderer.setClearColor(0x000000, 0);
+    } else if (background === 'solid') {
+      scene.background = new THREE.Color(backgroundColor);
+    }
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(size.width, size.height, false);
+    postProcessing.setSize(size.width, size.height);
+    updateCameraProjection(size.width / size.height);
+    // Bloom and SSAO do not keep the alpha channel
+    if (background === 'transparent') renderer.render(scene, camera);
+    else postProcessing.render(camera, orbitControls.target);
+
+    const result = onRendered(renderer.domElement, size);
+
+    // --- Restore state ---
+    helpers.forEach((helper, i) => { helper.visible = helperVisibility[i]; });
+    scene.background = previousBackground;
+    renderer.setClearColor(previousClearColor, previousClearAlpha);
+    renderer.setPixelRatio(previousPixelRatio);
+    renderer.setSize(previousSize.x, previousSize.y, false);
+    postProcessing.setSize(previousSize.x, previousSize.y);
+    updateCameraProjection();
+    // The render loop redraws the view once a recording is over
+    if (!isRecording) postProcessing.render(camera, orbitControls.target);
+
+    return result;
+  }
+
+  // Resolves to { blob, width, height } with a PNG of the current view
+  function screenshot(captureOptions = {}) {
+    const settings = {
+      width: 1920,
+      height: 1080,
+      background: 'scene', // 'scene' | 'transparent' | 'solid'
+      backgroundColor: '#ffffff',
+      hideHelpers: true,
+      ...captureOptions
+    };
+
+    return renderWithCaptureSettings(settings, (canvas, size) => new Promise((resolve, reject) => {
+      // toBlob snapshots the drawing buffer synchronously, before it is cleared
+      canvas.toBlob((blob) => {
+        if (blob) resolve({ blob, ...size });
+        else reject(new Error('Canvas capture failed'));
+      }, 'image/png');
+    }));
+  }
+
+  // ─────────────────────────────────────────────
+  // Turntable Recording (WebM video or PNG sequence)
+  // ─────────────────────────────────────────────
+  // Frames are rendered with a fixed rotation/animation step instead of the
+  // wall-clock delta, and animations start from the beginning of the active
+  // clip, so every recording of the same scene is identical.
+
+  // Poses frame `index` of the turntable: one full turn of every model over
+  // `frameCount` frames, with animations advanced by exactly one frame of time.
+  // `turning` lists the models present when the recording started.
+  function poseTurntableFrame(index, { frameCount, fps }, turning) {
+    const direction = Math.sign(autoRotateSpeed) || 1;
+    const angle = direction * (index / frameCount) * Math.PI * 2;
+    turning.forEach(({ model, startRotation }) => { model.rotation.y = startRotation + angle; });
+    if (index === 0) seekAnimation(0);
+    else if (mixer) mixer.update(1 / fps);
+    orbitControls.update();
+  }
+
+  // Resolves to { blob, extension }. `onProgress(frame, frameCount)` is
+  // called before each frame is rendered.
+  async function recordTurntable(recordOptions = {}) {
+    if (models.length === 0) throw new Error('No model loaded');
+    if (isRecording) throw new Error('A recording is already in progress');
+
+    const settings = {
+      width: 1920,
+      height: 1080,
+      background: 'scene',
+      backgroundColor: '#ffffff',
+      hideHelpers: true,
+      frameCount: 120,
+      fps: 30,
+      format: 'webm', // 'webm' | 'png'
+      onProgress: () => {},
+      ...recordOptions
+    };
+    const turning = models.map(({ model }) => ({ model, startRotation: model.rotation.y }));
+    const startTime = activeAction ? activeAction.time : 0;
+    isRecording = true;
+
+    try {
+      const record = settings.format === 'png' ? recordTurntableFrames : recordTurntableVideo;
+      return await record(settings, turning);
+    } finally {
+      turning.forEach(({ model, startRotation }) => { model.rotation.y = startRotation; });
+      seekAnimation(startTime);
+      isRecording = false;
+      onContainerResize();
+    }
+  }
+
+  // Frames are streamed into the zip as they are rendered, so each PNG is
+  // only held once. PNGs are already compressed and are stored as-is.
+  async function recordTurntableFrames(settings, turning) {
+    const digits = String(settings.frameCount).length;
+    const chunks = [];
+    let zipError = null;
+    const zip = new fflate.Zip((error, data) => {
+      if (error) zipError = error;
+      else chunks.push(data);
+    });
+
+    for (let i = 0; i < settings.frameCount; i++) {
+      settings.onProgress(i + 1, settings.frameCount);
+      poseTurntableFrame(i, settings, turning);
+      const { blob } = await screenshot(settings);
+      const file = new fflate.ZipPassThrough(`frame_${String(i + 1).padStart(digits, '0')}.png`);
+      zip.add(file);
+      file.push(new Uint8Array(await blob.arrayBuffer()), true);
+      if (zipError) throw zipError;
+    }
+    zip.end();
+    if (zipError) throw zipError;
+
+    return { blob: new Blob(chunks, { type: 'application/zip' }), extension: 'zip' };
+  }
+
+  // Encodes with WebCodecs, stamping frame i at exactly i / fps seconds, so
+  // slow frames (large sizes, background tabs) never stretch the video.
+  // VP8/VP9 through WebCodecs drop the alpha channel.
+  async function recordTurntableVideo(settings, turning) {
+    const { VideoEncoder, VideoFrame } = window;
+    if (!VideoEncoder) throw new Error('WebM recording needs WebCodecs (VideoEncoder), not available in this browser');
+
+    // 4:2:0 video needs even dimensions
+    const size = clampRenderSize(renderer, settings.width, settings.height);
+    const width = Math.max(2, size.width - (size.width % 2));
+    const height = Math.max(2, size.height - (size.height % 2));
+    const config = {
+      width,
+      height,
+      framerate: settings.fps,
+      bitrate: Math.round(width * height * settings.fps * 0.1)
+    };
+
+    let codec = null;
+    for (const candidate of Object.keys(WEBM_CODECS)) {
+      const { supported } = await VideoEncoder.isConfigSupported({ ...config, codec: candidate });
+      if (supported) {
+        codec = candidate;
+        break;
+      }
+    }
+    if (!codec) throw new Error('No WebM codec (VP9 / VP8) is supported by this browser');
+
+    const muxer = createWebMMuxer({ codec, width, height, fps: settings.fps });
+    let encodeError = null;
+    const encoder = new VideoEncoder({
+      output: (chunk) => muxer.addChunk(chunk),
+      error: (error) => { encodeError = error; }
+    });
+    encoder.configure({ ...config, codec });
+
+    const frameDuration = 1e6 / settings.fps; // µs
+    const keyFrameInterval = Math.max(1, Math.round(settings.fps * TURNTABLE_KEYFRAME_INTERVAL));
+    try {
+      for (let i = 0; i < settings.frameCount; i++) {
+        settings.onProgress(i + 1, settings.frameCount);
+        poseTurntableFrame(i, settings, turning);
+        renderWithCaptureSettings({ ...settings, width, height }, (canvas) => {
+          // The frame is copied from the drawing buffer while it still holds the render
+          const videoFrame = new VideoFrame(canvas, {
+            timestamp: Math.round(i * frameDuration),
+            duration: Math.round(frameDuration)
+          });
+          encoder.encode(videoFrame, { keyFrame: i % keyFrameInterval === 0 });
+          videoFrame.close();
+        });
+
+        // Let the encoder catch up instead of queueing every frame in memory
+        while (encoder.encodeQueueSize > TURNTABLE_ENCODE_QUEUE && !encodeError) {
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+        if (encodeError) throw encodeError;
+      }
+      await encoder.flush();
+      if (encodeError) throw encodeError;
+    } finally {
+      if (encoder.state !== 'closed') encoder.close();
+    }
+
+    return { blob: muxer.finalize(), extension: 'webm' };
+  }
+
+  // ─────────────────────────────────────────────
+  // View State (serializable snapshot of the view)
+  // ─────────────────────────────────────────────
+  // `models` lists the models loaded from URLs; `model` and `modelTransform`
+  // repeat the first of them for readers of single-model states
+  function getViewState() {
+    const shared = models.filter((record) => record.source).map((record) => ({
+      model: record.source,
+      transform: getModelTransformState(record.model),
+      display: { ...record.display }
+    }));
+    return {
+      version: VIEW_STATE_VERSION,
+      model: shared.length > 0 ? shared[0].model : null,
+      models: shared,
+      environment: currentEnvironmentKey,
+      environmentSettings: {
+        rotation: roundValue(THREE.MathUtils.radToDeg(environmentRotation)),
+        intensity: roundValue(environmentIntensity)
+      },
+      background: { ...background, gradient: [...background.gradient], backdrop: backdropKey },
+      // Ids are only meaningful within this session
+      lights: lights.map((record) => {
+        const entry = getLightEntry(record);
+        delete entry.id;
+        return entry;
+      }),
+      shadows: { ...shadowSettings },
+      postProcessing: postProcessing.getSettings(),
+      exposure: roundValue(renderer.toneMappingExposure),
+      display: getDisplay(),
+      modelTransform: shared.length > 0
+        ? shared[0].transform
+        : (currentModel ? getModelTransformState(currentModel) : null),
+      camera: getCameraSnapshot(),
+      bookmarks: cameraBookmarks.map((bookmark) => ({ ...bookmark }))
+    };
+  }
+
+  function getModelTransformState(model) {
+    return {
+      position: vectorToArray(model.position),
+      rotation: vectorToArray(model.rotation),
+      scale: vectorToArray(model.scale)
+    };
+  }
+
+  function applyModelTransformState(model, { position, rotation, scale }) {
+    if (isVectorArray(position)) model.position.fromArray(position);
+    if (isVectorArray(rotation)) model.rotation.fromArray(rotation);
+    if (isVectorArray(scale)) model.scale.fromArray(scale);
+  }
+
+  // Loads the models one after another: the first replaces the scene, the
+  // rest are added. Resolves to [{ record, transform, display }] of the
+  // ones that loaded.
+  async function loadViewStateModels(entries) {
+    const loaded = [];
+    for (const entry of entries) {
+      const ok = await loadModel(entry.model.url, { name: entry.model.name, add: loaded.length > 0 });
+      if (ok) loaded.push({ record: currentRecord, transform: entry.transform, display: entry.display });
+    }
+    return loaded;
+  }
+
+  // Loads the models/environment a state refers to, then applies the rest
+  // once all are in place (loading a model re-frames the camera and resets modes)
+  function applyViewState(state) {
+    const entries = (Array.isArray(state.models) ? state.models : [{ model: state.model, transform: state.modelTransform }])
+      .filter((entry) => entry && entry.model && entry.model.url);
+    const modelsReady = entries.length > 0
+      ? loadViewStateModels(entries)
+      : Promise.resolve(currentRecord ? [{ record: currentRecord, transform: state.modelTransform }] : []);
+    const environmentReady = state.environment
+      ? setEnvironment(state.environment)
+      : Promise.resolve(!!currentHDRI);
+    // Only presets can be shared as backdrops
+    const backdropReady = state.background && ENV_PRESETS[state.background.backdrop]
+      ? setBackdrop(state.background.backdrop)
+      : Promise.resolve(false);
+
+    if (typeof state.exposure === 'number') setExposure(state.exposure);
+    if (state.environmentSettings) setEnvironmentSettings(state.environmentSettings);
+    if (Array.isArray(state.lights)) replaceLights(state.lights);
+    if (state.shadows) setShadows(state.shadows);
+    if (state.postProcessing) setPostProcessing(state.postProcessing);
+
+    return Promise.all([modelsReady, environmentReady, backdropReady]).then(([loaded]) => {
+      if (state.display) setDisplay(state.display);
+      if (state.background) setBackground(state.background);
+
+      loaded.forEach(({ record, transform, display }) => {
+        if (transform) applyModelTransformState(record.model, transform);
+        if (display) setRecordDisplay(record, display);
+      });
+      if (loaded.some(({ display }) => display)) emit('displaychange', getDisplay());
+      updateSceneBounds();
+      emit('lightchange', getLightState());
+
+      if (state.camera) {
+        const { projection, fov, zoom, position, target } = state.camera;
+        if (projection) setProjection(projection);
+        if (Number.isFinite(fov)) perspectiveCamera.fov = THREE.MathUtils.clamp(fov, FOV_LIMITS.min, FOV_LIMITS.max);
+        if (isVectorArray(position)) camera.position.fromArray(position);
+        if (isVectorArray(target)) orbitControls.target.fromArray(target);
+        if (Number.isFinite(zoom) && zoom > 0) camera.zoom = zoom;
+        cameraTransition = null;
+        orbitControls.update();
+        updateCameraProjection();
+      }
+
+      if (Array.isArray(state.bookmarks)) {
+        cameraBookmarks = state.bookmarks
+          .filter((bookmark) => bookmark && isVectorArray(bookmark.position) && isVectorArray(bookmark.target))
+          .map((bookmark) => ({
+            name: String(bookmark.name || ''),
+            projection: bookmark.projection === 'orthographic' ? 'orthographic' : 'perspective',
+            position: bookmark.position,
+            target: bookmark.target,
+            fov: Number.isFinite(bookmark.fov) ? bookmark.fov : perspectiveCamera.fov,
+            zoom: Number.isFinite(bookmark.zoom) && bookmark.zoom > 0 ? bookmark.zoom : 1
+          }));
+      }
+      emit('camerachange', getCameraState());
+    });
+  }
+
+  // ─────────────────────────────────────────────
+  // Info & Teardown
+  // ─────────────────────────────────────────────
+  // `triangles` counts every model in the scene, `modelTriangles` the active
+  // one; `postProcessing` lists the passes in use (empty when rendering directly)
+  function getInfo() {
+    const countTriangles = (object) => {
+      let triangles = 0;
+      object.traverse((c) => {
+        if (c.isMesh && c.geometry) {
+          const idx = c.geometry.index;
+          triangles += idx ? idx.count / 3 : c.geometry.attributes.position.count / 3;
+        }
+      });
+      return Math.round(triangles);
+    };
+    const pipeline = postProcessing.describe();
+    return {
+      renderer: 'WebGL',
+      toneMapping: pipeline.toneMapping,
+      postProcessing: pipeline.passes,
+      modelName: currentModel ? currentModel.name : null,
+      modelCount: models.length,
+      triangles: countTriangles(modelRoot),
+      modelTriangles: currentModel ? countTriangles(currentModel) : 0,
+      environment: !!currentHDRI,
+      environmentFallback
+    };
+  }
+
+  // Full statistics of the current model (see inspection.js), plus what the
+  // last frame actually cost, shadow passes and viewer helpers included
+  function getInspectionReport() {
+    if (!currentModel) return null;
+    const report = inspectModel(currentModel, {
+      name: currentModel.name,
+      format: currentRecord.format,
+      extensions: currentRecord.extensions,
+      getMaterial: (mesh) => originalMaterials.get(mesh.uuid) || mesh.material
+    });
+    report.lastFrame = {
+      drawCalls: renderer.info.render.calls,
+      triangles: renderer.info.render.triangles,
+      geometries: renderer.info.memory.geometries,
+      textures: renderer.info.memory.textures
+    };
+    return report;
+  }
+
+  function dispose() {
+    cancelAnimationFrame(frameRequest);
+    resizeObserver.disconnect();
+    disposeAnimations();
+    editHistory.clear();
+    [...models].forEach((record) => {
+      detachRecord(record);
+      disposeModelRecord(record);
+    });
+    if (currentHDRI) releaseEnvironmentTexture(currentHDRI);
+    if (backdropTexture) releaseEnvironmentTexture(backdropTexture);
+    if (gradientTexture) gradientTexture.dispose();
+    if (generatedEnvironment) generatedEnvironment.dispose();
+    lights.splice(0).forEach(disposeLightRecord);
+    transformControls.dispose();
+    sectionControls.dispose();
+    lightControls.dispose();
+    orbitControls.dispose();
+    postProcessing.dispose();
+    clearMeasurements();
+    clearAnnotations();
+    disposeSkeletonInspector();
+    measureCursor.geometry.dispose();
+    measureLineMaterial.dispose();
+    measureMarkerMaterial.dispose();
+    disposeSectionPlanes();
+    wireOverlayMaterial.dispose();
+    if (uvCheckerTexture) uvCheckerTexture.dispose();
+    if (matcapTexture) matcapTexture.dispose();
+    renderer.dispose();
+    renderer.domElement.remove();
+    labelRenderer.domElement.remove();
+  }
+
+  init();
+
+  return Object.defineProperties(viewer, Object.getOwnPropertyDescriptors({
+    get scene() { return scene; },
+    get camera() { return camera; },
+    get renderer() { return renderer; },
+    get orbitControls() { return orbitControls; },
+    get transformControls() { return transformControls; },
+    get model() { return currentModel; },
+    get models() { return models.map((record) => record.model); },
+    get environment() { return currentEnvironmentKey; },
+    get environmentFallback() { return environmentFallback; },
+    get exposure() { return renderer.toneMappingExposure; },
+    get selection() { return selectedObject; },
+    get isolated() { return isolatedObject; },
+    get measureMode() { return measureMode; },
+    get focusPicking() { return focusPicking; },
+    get annotateMode() { return annotateMode; },
+    get sectionControls() { return sectionControls; },
+    get lightControls() { return lightControls; },
+    get isRecording() { return isRecording; },
+    get transformMode() { return transformControls.getMode(); },
+    get projection() { return camera.isOrthographicCamera ? 'orthographic' : 'perspective'; },
+
+    loadModel,
+    removeModel,
+    setEnvironment,
+    setEnvironmentSettings,
+    getEnvironmentState,
+    setBackground,
+    setBackdrop,
+    setExposure,
+    getLightState,
+    addLight,
+    setLight,
+    removeLight,
+    editLight,
+    setShadows,
+    setLightHelpers,
+    resetLights,
+    getPostProcessing,
+    setPostProcessing,
+    setFocusPicking,
+    getDisplay,
+    setDisplay,
+    setTransformMode,
+    getTransformState,
+    setTransform,
+    setTransformSettings,
+    dropToGround,
+    centerOnOrigin,
+    getSkeletonState,
+    setSkeletonOptions,
+    selectBone,
+    setMorphInfluence,
+    getMaterialState,
+    setMaterialProperties,
+    setMaterialVariant,
+    frame,
+    frameAll,
+    resetCamera,
+    resetModelTransform,
+    setStandardView,
+    setProjection,
+    setFieldOfView,
+    getCameraState,
+    addCameraBookmark,
+    removeCameraBookmark,
+    goToCameraBookmark,
+    setMeasureMode,
+    getMeasureState,
+    removeMeasurement,
+    clearMeasurements,
+    setUnits,
+    getDimensions,
+    setAnnotateMode,
+    getAnnotationState,
+    addAnnotation,
+    updateAnnotation,
+    setAnnotationView,
+    goToAnnotation,
+    setActiveAnnotation,
+    removeAnnotation,
+    clearAnnotations,
+    exportAnnotations,
+    importAnnotations,
+    getSectionState,
+    setSectionPlane,
+    editSectionPlane,
+    setSectionCaps,
+    clearSection,
+    undo: () => editHistory.undo(),
+    redo: () => editHistory.redo(),
+    getHistory,
+    goToHistory,
+    select,
+    setObjectVisible,
+    isolate,
+    getMeshMaterials,
+    getAnimationState,
+    playAnimation,
+    toggleAnimation,
+    seekAnimation,
+    setAnimationLoop,
+    setAnimationSpeed,
+    exportGLB,
+    screenshot,
+    recordTurntable,
+    getViewState,
+    applyViewState,
+    getInfo,
+    getInspectionReport,
+    dispose
+  }));
+}
+
+// ─────────────────────────────────────────────
+// Hologram Shader
+// ─────────────────────────────────────────────
+const hologramVertexShader = `
+  varying vec3 vNormal;
+  varying vec3 vWorldPosition;
+  #include <clipping_planes_pars_vertex>
+  void main() {
+    vNormal = normalize(normalMatrix * normal);
+    vec4 worldPos = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPos.xyz;
+    vec4 mvPosition = viewMatrix * worldPos;
+    gl_Position = projectionMatrix * mvPosition;
+    #include <clipping_planes_vertex>
+  }
+`;
+
+const hologramFragmentShader = `
+  uniform vec3 uColor;
+  uniform float uAlpha;
+  varying vec3 vNormal;
+  varying vec3 vWorldPosition;
+  #include <clipping_planes_pars_fragment>
+
+  void main() {
+    #include <clipping_planes_fragment>
+
+    // Subtle fresnel for soft edge highlight
+    vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+    float fresnel = pow(1.0 - abs(dot(viewDir, vNormal)), 2.0);
+
+    // Light specular reflection
+    vec3 lightDir = normalize(vec3(5.0, 8.0, 5.0) - vWorldPosition);
+    vec3 halfDir = normalize(lightDir + viewDir);
+    float spec = pow(max(dot(vNormal, halfDir), 0.0), 32.0) * 0.5;
+
+    vec3 color = uColor + vec3(spec);
+    float alpha = uAlpha + fresnel * 0.15 + spec * 0.2;
+
+    gl_FragColor = vec4(color, clamp(alpha, 0.0, 0.6));
+  }
+`;
+
+function createHologramMaterial() {
+  return new THREE.ShaderMaterial({
+    vertexShader: hologramVertexShader,
+    fragmentShader: hologramFragmentShader,
+    uniforms: {
+      uColor: { value: new THREE.Color(0x4dd7ef) },
+      uAlpha: { value: 0.30 }
+    },
+    transparent: true,
+    side: THREE.DoubleSide,
+    depthWrite: false,
+    clipping: true // honor the section planes
+  });
+}
+
+// ─────────────────────────────────────────────
+// Shared Helpers
+// ─────────────────────────────────────────────
+function isObjectVisible(object) {
+  for (let node = object; node; node = node.parent) {
+    if (!node.visible) return false;
+  }
+  return true;
+}
+
+// Whether `object` is `ancestor` or one of its descendants
+function isInside(object, ancestor) {
+  for (let node = object; node; node = node.parent) {
+    if (node === ancestor) return true;
+  }
+  return false;
+}
+
+// Child indices leading from `root` down to `node`
+function getNodePath(root, node) {
+  const path = [];
+  for (let current = node; current !== root; current = current.parent) {
+    path.unshift(current.parent.children.indexOf(current));
+  }
+  return path;
+}
+
+function getNodeByPath(root, path) {
+  if (!Array.isArray(path)) return null;
+  let node = root;
+  for (const index of path) {
+    node = node && Number.isInteger(index) ? node.children[index] : null;
+  }
+  return node || null;
+}
+
+function getTransformSnapshot(object) {
+  return {
+    position: object.position.clone(),
+    quaternion: object.quaternion.clone(),
+    scale: object.scale.clone()
+  };
+}
+
+function applyTransformSnapshot(object, snapshot) {
+  object.position.copy(snapshot.position);
+  object.quaternion.copy(snapshot.quaternion);
+  object.scale.copy(snapshot.scale);
+}
+
+function transformSnapshotsEqual(a, b) {
+  return a.position.equals(b.position) && a.quaternion.equals(b.quaternion) && a.scale.equals(b.scale);
+}
+
+function formatLength(meters, unit = 'm') {
+  const { label, factor, decimals } = LENGTH_UNITS[unit] || LENGTH_UNITS.m;
+  return `${(meters * factor).toFixed(decimals)} ${label}`;
+}
+
+// Bounding box of the geometry under `root`, in root's own frame (so it does
+// not depend on the root's current position, rotation or scale)
+function getLocalBounds(root) {
+  root.updateWorldMatrix(true, true);
+  const toRoot = root.matrixWorld.clone().invert();
+  const bounds = new THREE.Box3();
+  const box = new THREE.Box3();
+  const matrix = new THREE.Matrix4();
+
+  root.traverse((node) => {
+    if (!node.geometry || !(node.isMesh || node.isPoints || node.isLine)) return;
+    if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+    box.copy(node.geometry.boundingBox).applyMatrix4(matrix.multiplyMatrices(toRoot, node.matrixWorld));
+    bounds.union(box);
+  });
+  return bounds;
+}
+
+function isViewerHelper(object) {
+  return VIEWER_OBJECT_PATTERN.test(object.name) || object.type.endsWith('Helper');
+}
+
+// Clamps the requested size to what the GPU can render in one pass,
+// keeping the aspect ratio
+function clampRenderSize(renderer, width, height) {
+  const gl = renderer.getContext();
+  const [maxWidth, maxHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+  const maxSize = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), maxWidth, maxHeight);
+  const factor = Math.min(1, maxSize / Math.max(width, height));
+  return { width: Math.floor(width * factor), height: Math.floor(height * factor) };
+}
+
+function roundValue(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function vectorToArray(vector) {
+  return vector.toArray().slice(0, 3).map(roundValue);
+}
+
+function isVectorArray(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+// ─────────────────────────────────────────────
+// Dispose Helper
+// ─────────────────────────────────────────────
+function disposeObject(obj) {
+  obj.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) {
+      if (Array.isArray(child.material)) {
+        child.material.forEach((m) => disposeMaterial(m));
+      } else {
+        disposeMaterial(child.material);
+      }
+    }
+  });
+}
+
+function disposeMaterial(material) {
+  for (const key of Object.keys(material)) {
+    const value = material[key];
+    if (value && typeof value === 'object' && typeof value.dispose === 'function') {
+      value.dispose();
+    }
+  }
+  material.dispose();
+}
+
+export {
+  createViewer,
+  ENV_PRESETS,
+  ENVIRONMENT_EXTENSIONS,
+  LIGHT_TYPES,
+  LIGHT_INTENSITY_MAX,
+  SHADOW_MAP_SIZES,
+  SHADOW_SOFTNESS_MAX,
+  VIEW_MODES,
+  TRANSFORM_SPACES,
+  MATERIAL_PROPERTIES,
+  VIEW_STATE_VERSION,
+  ANNOTATIONS_VERSION,
+  LENGTH_UNITS,
+  formatLength,
+  isVectorArray
+};
@@ -0,0 +1,220 @@
+/* ============================================
+   3D Model Viewer — WebM Muxer
+   Writes the encoded chunks of one WebCodecs VideoEncoder into a
+   WebM (Matroska) file. Frames keep the timestamps they were
+   encoded with, so the video plays at its nominal frame rate no
+   matter how long each frame took to render.
+   ============================================ */
+
+// Matroska element IDs (with their length marker bits)
+const EBML_IDS = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3
+};
+
+// WebCodecs codec string → Matroska codec ID, in order of preference
+const WEBM_CODECS = {
+  'vp09.00.10.08': 'V_VP9',
+  vp8: 'V_VP8'
+};
+
+const TIMECODE_SCALE = 1000000; // ns per timecode unit: timecodes are in ms
+const VIDEO_TRACK = 1;
+// Block timecodes are 16-bit offsets from their cluster's timecode
+const MAX_CLUSTER_SPAN = 30000; // ms
+const MUXING_APP = '3D Model Viewer';
+
+// ─────────────────────────────────────────────
+// Muxer Factory
+// ─────────────────────────────────────────────
+// `codec` is a key of WEBM_CODECS and `fps` the nominal frame rate.
+// Pass addChunk() as (or from) the encoder's output callback; finalize()
+// returns the file once the encoder has been flushed.
+function createWebMMuxer({ codec, width, height, fps }) {
+  if (!WEBM_CODECS[codec]) throw new Error(`Unsupported WebM codec: ${codec}`);
+  const frames = []; // { time (ms), key, data } in decoding order
+
+  function addChunk(chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    frames.push({ time: Math.round(chunk.timestamp / 1000), key: chunk.type === 'key', data });
+  }
+
+  function finalize() {
+    if (frames.length === 0) throw new Error('No frames were encoded');
+    const frameDuration = 1000 / fps;
+    const duration = frames[frames.length - 1].time + frameDuration;
+
+    const header = element(EBML_IDS.EBML, [
+      uintElement(EBML_IDS.EBMLVersion, 1),
+      uintElement(EBML_IDS.EBMLReadVersion, 1),
+      uintElement(EBML_IDS.EBMLMaxIDLength, 4),
+      uintElement(EBML_IDS.EBMLMaxSizeLength, 8),
+      stringElement(EBML_IDS.DocType, 'webm'),
+      uintElement(EBML_IDS.DocTypeVersion, 2),
+      uintElement(EBML_IDS.DocTypeReadVersion, 2)
+    ]);
+
+    const info = element(EBML_IDS.Info, [
+      uintElement(EBML_IDS.TimecodeScale, TIMECODE_SCALE),
+      floatElement(EBML_IDS.Duration, duration),
+      stringElement(EBML_IDS.MuxingApp, MUXING_APP),
+      stringElement(EBML_IDS.WritingApp, MUXING_APP)
+    ]);
+
+    const tracks = element(EBML_IDS.Tracks, [
+      element(EBML_IDS.TrackEntry, [
+        uintElement(EBML_IDS.TrackNumber, VIDEO_TRACK),
+        uintElement(EBML_IDS.TrackUID, VIDEO_TRACK),
+        uintElement(EBML_IDS.TrackType, 1), // video
+        uintElement(EBML_IDS.FlagLacing, 0),
+        stringElement(EBML_IDS.CodecID, WEBM_CODECS[codec]),
+        uintElement(EBML_IDS.DefaultDuration, Math.round(1e9 / fps)),
+        element(EBML_IDS.Video, [
+          uintElement(EBML_IDS.PixelWidth, width),
+          uintElement(EBML_IDS.PixelHeight, height)
+        ])
+      ])
+    ]);
+
+    const clusters = buildClusters(frames).map(({ time, blocks }) => ({
+      time,
+      parts: element(EBML_IDS.Cluster, [uintElement(EBML_IDS.Timecode, time), ...blocks])
+    }));
+
+    // Cues go before the clusters so players can seek without reading the
+    // whole file. Their positions are written with a fixed width, which
+    // makes the size of the cues known before the positions are.
+    const cuesFor = (positions) => element(EBML_IDS.Cues, clusters.map(({ time }, i) => (
+      element(EBML_IDS.CuePoint, [
+        uintElement(EBML_IDS.CueTime, time),
+        element(EBML_IDS.CueTrackPositions, [
+          uintElement(EBML_IDS.CueTrack, VIDEO_TRACK),
+          uintElement(EBML_IDS.CueClusterPosition, positions[i], 8)
+        ])
+      ])
+    )));
+    // Cluster positions are relative to the start of the segment's data
+    let position = byteLength(info) + byteLength(tracks) + byteLength(cuesFor(clusters.map(() => 0)));
+    const positions = clusters.map(({ parts }) => {
+      const start = position;
+      position += byteLength(parts);
+      return start;
+    });
+
+    const segment = element(EBML_IDS.Segment, [
+      info,
+      tracks,
+      cuesFor(positions),
+      ...clusters.map(({ parts }) => parts)
+    ]);
+    return new Blob([...header, ...segment], { type: 'video/webm' });
+  }
+
+  return { addChunk, finalize };
+}
+
+// A new cluster starts at every key frame (so each cluster can be decoded
+// on its own) and whenever the block offsets would overflow
+function buildClusters(frames) {
+  const clusters = [];
+  let cluster = null;
+  frames.forEach(({ time, key, data }) => {
+    if (!cluster || key || time - cluster.time > MAX_CLUSTER_SPAN) {
+      cluster = { time, blocks: [] };
+      clusters.push(cluster);
+    }
+    const blockHeader = new Uint8Array(4);
+    blockHeader[0] = 0x80 | VIDEO_TRACK; // track number as a 1-byte vint
+    new DataView(blockHeader.buffer).setInt16(1, time - cluster.time);
+    blockHeader[3] = key ? 0x80 : 0;
+    cluster.blocks.push(element(EBML_IDS.SimpleBlock, [[blockHeader, data]]));
+  });
+  return clusters;
+}
+
+// ─────────────────────────────────────────────
+// EBML Encoding
+// ─────────────────────────────────────────────
+// Elements are kept as lists of byte arrays, so frame data is never copied
+// into one big buffer before it reaches the Blob.
+function element(id, children) {
+  const body = children.flat();
+  return [encodeId(id), encodeSize(byteLength(body)), ...body];
+}
+
+function uintElement(id, value, width = 0) {
+  const bytes = [];
+  for (let rest = value; rest > 0 || bytes.length === 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256);
+  while (bytes.length < width) bytes.unshift(0);
+  return element(id, [new Uint8Array(bytes)]);
+}
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, [bytes]);
+}
+
+function stringElement(id, value) {
+  return element(id, [new TextEncoder().encode(value)]);
+}
+
+// IDs already carry their length marker
+function encodeId(id) {
+  const bytes = [];
+  for (let rest = id; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256);
+  return new Uint8Array(bytes);
+}
+
+// Variable-length size: a leading 1 bit whose position gives the length
+function encodeSize(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Uint8Array(length);
+  let rest = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+function byteLength(parts) {
+  return parts.reduce((sum, part) => sum + part.byteLength, 0);
+}
+
+export { createWebMMuxer, WEBM_CODECS };